@@ -1,9 +1,29 @@
 
-import { NBodyRK4, detectCollision, detectEscape } from './physics.js';
+import { G, NBodyRK4, INTEGRATORS, createIntegrator, switchIntegrator, physicalRadiusAU, luminosityLsun, planetIndex,
+    effectiveTemperatureK, gravityAccel } from './physics.js';
+import { EventMonitor, COLLISION_DEFAULTS, ESCAPE_DEFAULTS, resolveCollision } from './events.js';
+import { parseInitJSON, parseScenario, decodeInitParam, withBodyDefaults, SCENARIO_VERSION } from './scenario.js';
 import { PRESETS } from './presets.js';
+import { Recorder } from './recorder.js';
+import { TrajectoryLog, BINARY_MAGIC } from './trajectory.js';
+import { PhysicsClient } from './physics-client.js';
+import { SimLoop } from './simloop.js';
+import { bodyTelemetry } from './telemetry.js';
+import { insolation, HabitabilityHistory } from './habitability.js';
+import { conservedBaseline, conservationDrift, DriftHistory, DRIFT_SERIES } from './diagnostics.js';
+import { CanvasRecorder, canRecordWebM, crc32, zipStore, ZIP_MAX_ENTRIES } from './capture.js';
+import { SWEEP_FIELDS, sweepValue, buildSweepCases, runCase, runSweep } from './sweep.js';
+import { elementsToState, stateToElements, dominantBody, muOf } from './orbits.js';
+import * as Library from './library.js';
 import { setupRenderer } from './renderer.js';
-import { $, bindInputs, readInputsIntoParams, wireHUD, setEnergyText, setSimTime,
-    buildInitJSON, copyJSONToClipboard, toast, log, clearLog, approxEqual, populateVisualPresetOptions } from './ui.js';
+import { VISUAL_FIELDS, setPath, validateVisualPreset, presetKey, loadSavedVisualPresets, saveVisualPreset } from './visual-config.js';
+import { $, bindInputs, readInputsIntoParams, wireHUD, setEnergyText, setEnergyErrText, setStepText, setSimTime,
+    buildInitJSON, copyJSONToClipboard, toast, log, clearLog, approxEqual, populateVisualPresetOptions,
+    populateIntegratorOptions, renderUserPresets, downloadText, readOrbitInputs, setOrbitInputs, setOsculatingText,
+    isOrbitPanelOpen, setTimeline, setTrajectoryStatus, populateSweepFields, readSweepForm, setSweepRange, setSweepStatus,
+    drawSweepMap, setBenchmarkText, drawDriftCharts, renderTelemetry, setHabitabilityText, drawHabitabilityChart,
+    readHabitableBand, setCameraChips, setCaptureStatus, setLegendColor, setTrailFrameOptions, setTrailColorSelect,
+    renderVisualEditor, setVisualEditorStatus, setRulerOptions } from './ui.js';
 
 
 let params = {
@@ -13,51 +33,368 @@ let params = {
     timeScale: 5,
     trailLen: 3000,
     softening: 1e-6,
+    integrator: 'rk4',   // key into INTEGRATORS (physics.js)
+    clock: 'realtime',   // 'realtime' (dt from wall clock) | 'fixed' (deterministic)
+    fixedDt: 0.01,       // days per step in 'fixed' mode; timeScale = steps per frame there
 };
+withBodyDefaults(params);   // per-body names / star|planet types
 
-// Collision detection configuration
-const COLLISION = {
-    enabled: true,
-    mode: 'core',   // 'core' | 'vdt'
-    fudge: 1.2      // >1 gives safety margin against timestep skipping
-};
+// Collision / escape configuration (defaults in events.js, shared with the CLI)
+const COLLISION = { ...COLLISION_DEFAULTS };
+const ESCAPE = { ...ESCAPE_DEFAULTS };
 
-// Escape detection configuration
-const ESCAPE = {
-    enabled: true,
-    maxSepAU: 5.0,     // consider escape only beyond this CM distance
-    fudge: 1.1,        // safety margin (>= 1.0)
-    consecutive: 8     // require N consecutive frames to declare escape
-};
+// Collision/escape checks after every integrator step, located to the crossing time
+const monitor = new EventMonitor({ collision: COLLISION, escape: ESCAPE });
 
-// rolling counters per body
-let escapeCounters = [0,0,0,0];
+// Original 1-based body numbers per engine index (merges remove entries, so labels stay stable)
+let bodyIds = [];
 
 let engine = null;
+let baseline = null; // E₀, P₀, L₀, CM the drift readouts compare against (reset with the engine, or by a collision outcome)
 let paused = false;
 let simTimeDays = 0;
 
+// Fixed-step clock: sim time is clockOrigin + fixedSteps × fixedDt, never a running float sum
+let clockOrigin = 0, fixedSteps = 0;
+let pendingDt = 0;   // rest of a fixed step interrupted by a pausing event
+
+// Physics off the main thread: `physics` streams frames from physics-worker.js and `engine`
+// then mirrors the newest frame on screen (null = integrate here, in frame())
+let physics = null;
+let displayT = 0;   // sim time on screen while the worker runs ahead
+
+// Rewind: one snapshot per rendered frame; `replay` is set while viewing the recording
+const recorder = new Recorder(3600);
+let replay = null;   // { index, playing, wasPaused, toggled }
+
+// Trajectory export: sampled while `trajRecording`, kept after stopping until the next start
+let trajectory = null;
+let trajRecording = false;
+
+// Host star per body id (null = bound to none): switches of non-stars are reported; trails
+// coloured by distance use it for every body
+const hosts = new Map();
+
+// Trails are drawn in a reference frame, { mode:'inertial'|'barycentre'|'body', id } with the
+// body's original id; each point is stored relative to the frame's origin at its own time
+let trailFrame = { mode: 'inertial', id: 1 };
+let trailColorBy = 'body';     // 'body' | 'speed' | 'distance' (to the host star)
+const trailOrigin = [0, 0, 0]; // reused by frameOrigin every frame
+
+// Insolation history of "the planet" (lightest body); restarts if a merger changes which that is
+const habitability = new HabitabilityHistory({ band: readHabitableBand() });
+let habPlanetId = null;
+
+// Conservation charts: one drift sample per HUD refresh
+const drift = new DriftHistory(600);
+const HUD_INTERVAL_MS = 250;
+let hudDueAt = 0;
+
+// Benchmark mode: grid steps and frame times, summarised in the HUD about once a second
+let bench = null;    // { since, steps, frames:[ms], work }
+const framePos = []; // reused by engine.getPositions / physics.positionsAt every frame
+
+// Capture: while recording, every frame advances the sim by a fixed slice instead of wall time
+let capture = null;  // CanvasRecorder
+
+// Overlays drawn over the scene; the ruler joins two bodies by original id
+const overlays = { labels: false, velocity: false, accel: false, barycentre: false, ruler: false };
+let rulerIds = [1, 2];
+let arrowSpanDays = 30;    // velocity arrow = distance covered in this time; acceleration = velocity gained, same scale
+const ARROW_MAX_AU = 10;   // close encounters would otherwise draw arrows across the whole system
+let overlayVec = new Float64Array(0), overlayAcc = new Float64Array(0);
+
 // Renderer now async (loads visual_config.json)
 const R = await setupRenderer();
 
-// Populate visual preset dropdown
+// Populate visual preset dropdown (visual_config.json, then any saved in this browser)
 {
+    for (const [key, p] of Object.entries(loadSavedVisualPresets())) R.addVisualPreset(key, p);
     const info = R.getVisualConfig();
     populateVisualPresetOptions(info.presets, info.defaultKey);
 }
+populateIntegratorOptions(INTEGRATORS, params.integrator);
+populateSweepFields(SWEEP_FIELDS);
+$('collisionOutcome').value = COLLISION.outcome;
 
 function rebuildEngine() {
     readInputsIntoParams(params);
     R.createBodies(params.masses.length);
 
-    engine = new NBodyRK4(params.masses, params.pos, params.vel, params.softening);
-    setEnergyText(engine.energy());
+    engine = createIntegrator(params.integrator, params.masses, params.pos, params.vel, params.softening);
+    baseline = conservedBaseline(engine);
+    drift.clear();
+    setEnergyText(baseline.E); setEnergyErrText(baseline.E, baseline.E); setStepText(engine.lastDt);
     simTimeDays = 0; setSimTime(simTimeDays);
-    escapeCounters = new Array(params.masses.length).fill(0);   // <— reset here
+    clockOrigin = 0; fixedSteps = 0; pendingDt = 0;
+    monitor.reset(params.masses.length);   // <— reset here
+    bodyIds = params.masses.map((_, i) => i + 1);
+    hosts.clear();
+    habitability.clear(); habPlanetId = null;
 
-    R.setMasses(params.masses);
+    R.setMasses(params.masses, starFlags());
+    syncLegendColors();
     R.setPositions(params.pos);
-    R.resetTrails(params.pos);
+    {
+        const o = frameOrigin(params.masses.length, (i, c) => params.pos[i][c], params.masses, bodyIds, trailOrigin);
+        R.setTrailOrigin(o[0], o[1], o[2]);
+        R.resetTrails(params.pos.map(p => p.map((x, c) => x - o[c])));
+    }
+
+    replay = null;
+    recorder.clear();
+    recordFrame();
+    startWorker();
+    refreshCameraChips();
+    refreshTrailFrameOptions();
+    refreshRulerOptions();
+    refreshOverlays();
+    if (trajRecording) {
+        trajRecording = false;
+        log(`Trajectory recording stopped by reset (${trajectory.length} samples kept for download)`);
+        updateTrajectoryStatus();
+    }
+}
+
+// Swap integrator mid-session: keeps the current state and sim time
+function setIntegrator(key) {
+    if (!INTEGRATORS[key]) { console.warn('[integrator] unknown key:', key); return; }
+    params.integrator = key;
+    if (engine) {
+        engine = switchIntegrator(engine, key, params.softening);
+        // a regularized engine drops softening, which changes the energy itself: re-baseline
+        baseline = conservedBaseline(engine);
+        physics?.setIntegrator(key);
+    }
+    log(`Integrator: ${INTEGRATORS[key].label}${INTEGRATORS[key].regularized ? ' — softening ignored' : ''}`);
+}
+
+// New test particle on a circular orbit about the system's CM, outside every existing body
+function addBody() {
+    readInputsIntoParams(params);
+    const n = params.masses.length;
+    const M = params.masses.reduce((a, b) => a + b, 0);
+    const cm = [0,0,0], vcm = [0,0,0];
+    for (let i=0;i<n;i++) for (let k=0;k<3;k++) {
+        cm[k]  += params.masses[i] * params.pos[i][k] / M;
+        vcm[k] += params.masses[i] * params.vel[i][k] / M;
+    }
+    let rMax = 0;
+    for (const p of params.pos) rMax = Math.max(rMax, Math.hypot(p[0]-cm[0], p[1]-cm[1], p[2]-cm[2]));
+    const r = 1.5 * rMax + 0.5, th = n * 2.39996; // golden angle so successive additions spread out
+    const v = Math.sqrt(G * M / r);
+    params.masses.push(3.003e-6);
+    params.names.push(`Body ${n+1}`);
+    params.types.push('planet');
+    params.pos.push([cm[0] + r*Math.cos(th), cm[1] + r*Math.sin(th), cm[2]]);
+    params.vel.push([vcm[0] - v*Math.sin(th), vcm[1] + v*Math.cos(th), vcm[2]]);
+    bindInputs(params);
+    rebuildEngine();
+    log(`Added body ${n+1} (test particle at ${r.toFixed(3)} AU from CM)`);
+}
+
+function removeBody(i) {
+    readInputsIntoParams(params);
+    if (params.masses.length <= 2 || !(i >= 0 && i < params.masses.length)) return;
+    params.masses.splice(i, 1);
+    params.pos.splice(i, 1);
+    params.vel.splice(i, 1);
+    params.names.splice(i, 1);
+    params.types.splice(i, 1);
+    bindInputs(params);
+    rebuildEngine();
+    log(`Removed body ${i+1}; ${params.masses.length} bodies remain`);
+}
+
+// quick visual nudge (brighten emissive)
+function pulse(i, amount) {
+    try {
+        R.bodies[i].children?.forEach?.(child => child.material?.emissive?.offsetHSL(0, 0, amount));
+    } catch {}
+}
+
+// "4" or "4 (Earth)" for log lines
+function bodyLabel(i) { return idLabel(bodyIds[i]); }
+function idLabel(id) {
+    const name = params.names?.[id - 1];
+    return name && name !== `Body ${id}` ? `${id} (${name})` : String(id);
+}
+
+const fmtVec = v => `(${v.map(x => x.toFixed(4)).join(', ')})`;
+
+// Merge/bounce physics: done here on the main-thread engine; the worker has already done it,
+// so the mirror just adopts its post-outcome state
+function applyOutcome(hit) {
+    if (!hit.after) return resolveCollision(engine, monitor, hit, COLLISION);
+    engine.restore(hit.after);
+    return hit.res;
+}
+
+// Apply COLLISION.outcome to a located 'collision' event (engine sits at the contact time)
+function handleCollision(hit) {
+    const a = bodyLabel(hit.i), b = bodyLabel(hit.j);
+    const where = `at ${hit.t.toFixed(4)} d (sep=${hit.sep.toExponential(3)} AU, min=${hit.minSep.toExponential(3)} AU, ` +
+        `v_rel=${hit.vRel.toExponential(3)} AU/day, periapsis=${hit.periapsis.toExponential(3)} AU)`;
+    const state = `r${bodyIds[hit.i]}=${fmtVec(hit.pos[0])} r${bodyIds[hit.j]}=${fmtVec(hit.pos[1])} AU`;
+
+    switch (COLLISION.outcome) {
+    case 'merge': {
+        const res = applyOutcome(hit);
+        if (trailFrame.id === bodyIds[hit.j]) trailFrame.id = bodyIds[hit.i];   // trails stay on the survivor
+        rulerIds = rulerIds.map(id => id === bodyIds[hit.j] ? bodyIds[hit.i] : id);
+        bodyIds.splice(hit.j, 1);
+        R.mergeBodies(hit.i, hit.j);
+        refreshCameraChips();
+        refreshTrailFrameOptions();
+        refreshRulerOptions();
+        R.setMasses(Array.from(engine.m), starFlags());
+        syncLegendColors();
+        baseline = conservedBaseline(engine);   // the merger dissipates energy and the pair's orbital L: re-baseline
+        log(`Merge: body ${b} absorbed into body ${a} ${where} → M=${res.mass.toPrecision(6)} M☉, R=${physicalRadiusAU(res.mass).toExponential(3)} AU, ${engine.n} bodies left`);
+        toast(`Merge: ${b} → ${a}`);
+        break;
+    }
+    case 'bounce': {
+        const res = applyOutcome(hit);
+        baseline = conservedBaseline(engine);
+        pulse(hit.i, 0.1); pulse(hit.j, 0.1);
+        log(`Bounce: bodies ${a} ↔ ${b} ${where}, ΔK=${res.dE.toExponential(3)}`);
+        break;
+    }
+    case 'log':
+        log(`Contact: bodies ${a} ↔ ${b} ${where} ${state} — continuing`);
+        break;
+    default:
+        paused = true;
+        log(`Collision detected between body ${a} and ${b} ${where} ${state}`);
+        pulse(hit.i, 0.25); pulse(hit.j, 0.25);
+        toast(`Collision: ${a} ↔ ${b}. Simulation paused.`);
+    }
+}
+
+function handleEvent(ev) {
+    switch (ev.type) {
+    case 'collision':
+        handleCollision(ev);
+        break;
+    case 'approach':
+        log(`Close approach: bodies ${bodyLabel(ev.i)} ↔ ${bodyLabel(ev.j)} at ${ev.t.toFixed(4)} d — ` +
+            `sep=${ev.sep.toExponential(3)} AU (${(ev.sep / ev.minSep).toFixed(2)}× contact), v_rel=${ev.vRel.toExponential(3)} AU/day`);
+        break;
+    case 'escape': {
+        const k = ev.index;
+        paused = true;
+        log(`Escape detected: body ${bodyLabel(k)} at ${ev.t.toFixed(4)} d — r_CM=${ev.rCM.toFixed(3)} AU, v=${ev.v.toExponential(3)} AU/day, v_esc=${ev.vEsc.toExponential(3)} AU/day`);
+
+        // optional: subtle visual cue (brighten emissive briefly)
+        pulse(k, 0.35);
+
+        toast(`Escape: body ${bodyLabel(k)}. Simulation paused.`);
+        break;
+    }
+    }
+}
+
+// Re-anchor the fixed-step grid at the current time (mode or dt changed mid-run)
+function restartClock() {
+    clockOrigin = engine ? engine.t : 0;
+    fixedSteps = 0; pendingDt = 0;
+    physics?.setStep(workerDt());
+}
+
+// --- Physics worker ---
+// Worker step: fixedDt on the fixed clock, else the main loop's nominal step (60 fps × 4 substeps)
+const workerDt = () => params.clock === 'fixed' ? params.fixedDt : params.timeScale / 240;
+// Sim days shown per wall-clock second
+const displayRate = () => params.clock === 'fixed' ? Math.max(1, Math.round(params.timeScale)) * params.fixedDt * 60 : params.timeScale;
+
+// Hand the current engine state to the worker (reset, preset, branch, switching it on)
+function startWorker() {
+    if (!physics || !engine) return;
+    physics.init({ integrator: params.integrator, softening: params.softening, snap: engine.snapshot(), ids: bodyIds,
+                   collision: COLLISION, escape: ESCAPE, dt: workerDt(), escaped: monitor.escaped });
+    displayT = engine.t;
+}
+
+function setPhysicsWorker(on) {
+    if (on && !physics) {
+        try {
+            physics = new PhysicsClient({ onError: e => {
+                log(`Physics worker failed (${e.message || 'module workers need the page served over http'}) — integrating on the main thread`);
+                $('physWorker').checked = false;
+                setPhysicsWorker(false);
+            } });
+        } catch (e) {
+            log(`Physics worker unavailable (${e.message}) — integrating on the main thread`);
+            $('physWorker').checked = false;
+            return;
+        }
+        startWorker();
+    } else if (!on && physics) {
+        const escaped = physics.current?.escaped;
+        physics.terminate();
+        physics = null;
+        // carry on from the state on screen, without re-reporting escapes the worker already had
+        monitor.reset(engine.n);
+        if (escaped?.length === engine.n) monitor.escaped = escaped.slice();
+        restartClock();
+    }
+}
+
+// Worker mode, once per rendered frame: move the display clock (never past what has been
+// computed), ask for more, adopt every frame/event passed. Returns positions to draw.
+function takeWorkerFrames(delta) {
+    displayT = Math.min(displayT + delta * displayRate(), physics.latestT);
+    physics.demand(displayT + Math.max(0.25 * displayRate(), 4 * workerDt()));
+    let sampleNext = false;
+    physics.take(displayT,
+        ev => { markTrajectoryEvent(ev); handleEvent(ev); sampleNext = true; },
+        f => {
+            engine.restore(f);
+            bodyIds = f.ids.slice();
+            if (bench) bench.steps++;
+            if (trajRecording) trajectory.sample(engine, bodyIds, sampleNext);
+            sampleNext = false;
+        },
+        () => paused);
+    if (paused) { displayT = engine.t; return engine.getPositions(framePos); }
+    return physics.positionsAt(displayT, framePos);
+}
+
+function setClockMode(mode) {
+    params.clock = mode;
+    restartClock();
+    log(mode === 'fixed'
+        ? `Clock: fixed dt=${params.fixedDt} d × ${Math.max(1, Math.round(params.timeScale))} steps/frame (reproducible)`
+        : 'Clock: real-time');
+}
+
+// Load a validated scenario (paste, file drop or ?init=) into the inputs and restart.
+// Bare init JSON from before the versioned format is migrated on the way in.
+function importInit(text, source) {
+    let sc;
+    try {
+        sc = parseScenario(text);
+    } catch (e) {
+        log(`Import from ${source} failed — ${e.message}`);
+        toast('Import failed — see Diagnostics log');
+        return false;
+    }
+    const { visualPreset, collisionOutcome, ...rest } = sc.params;
+    params = { ...params, ...rest };
+    if (visualPreset && R.getVisualConfig().presets[visualPreset]) {
+        $('visualPreset').value = visualPreset;
+        R.setVisualPreset(visualPreset);
+        refreshVisualEditor();
+    }
+    if (collisionOutcome) { COLLISION.outcome = collisionOutcome; $('collisionOutcome').value = collisionOutcome; }
+    bindInputs(params);
+    rebuildEngine();
+    paused = false;
+    const what = sc.name ? `“${sc.name}”` : `${params.masses.length} bodies`;
+    log(`Imported ${what} from ${source}${sc.migrated ? ' (bare init JSON, migrated to v' + SCENARIO_VERSION + ')' : ''}`);
+    toast(`Loaded scenario (${params.masses.length} bodies)`);
+    return true;
 }
 
 function applyPreset(key) {
@@ -68,118 +405,836 @@ function applyPreset(key) {
         masses: p.masses.map(x=>x),
         pos:    p.pos.map(r=>[r[0],r[1],r[2]]),
         vel:    p.vel.map(u=>[u[0],u[1],u[2]]),
+        names:  p.names?.slice(),
+        types:  p.types?.slice(),
     };
+    withBodyDefaults(params);
     bindInputs(params);
     rebuildEngine();
     paused = false;
 }
 
+// --- Recorder / timeline ---
+function recordFrame() {
+    recorder.record(engine, { ids: bodyIds.slice(), baseline });
+}
+
+function updateTimeline() {
+    const fr = replay ? recorder.at(replay.index) : null;
+    setTimeline({ count: recorder.length, index: replay ? replay.index : null, t: fr?.snap.t ?? 0,
+                  playing: !!replay?.playing, capacity: recorder.capacity });
+}
+
+// Draw recorded frame k: bodies, positions and trails rebuilt from the frames before it.
+// Trails follow body ids, so they stay continuous across mergers.
+function drawRecorded(k) {
+    const fr = recorder.at(k), n = fr.snap.n;
+    if (R.bodies.length !== n) R.createBodies(n);
+    R.setMasses(Array.from(fr.snap.m), starFlags(fr.ids));
+    const pos = recorder.positionsAt(k);
+    R.setPositions(pos);
+    updateOverlays(pos, fr.snap.state, fr.snap.m, fr.ids);
+    trailsFromRecording(k);
+    setSimTime(fr.snap.t);
+}
+
+// Rebuild the trails from the recorded frames up to k, in the current trail frame and colouring
+function trailsFromRecording(k) {
+    const ids = recorder.at(k).ids, n = ids.length;
+    const points = Array.from({ length: n }, () => []), values = Array.from({ length: n }, () => []);
+    for (let q = Math.max(0, k - params.trailLen + 1); q <= k; q++) {
+        const f = recorder.at(q), st = f.snap.state, N3 = 3 * f.snap.n;
+        const at = (i, c) => st[3*i + c], vel = (i, c) => st[N3 + 3*i + c];
+        const o = frameOrigin(f.snap.n, at, f.snap.m, f.ids, trailOrigin);
+        for (let i=0;i<n;i++) {
+            const j = f.ids.indexOf(ids[i]);
+            if (j < 0) continue;
+            points[i].push(st[3*j] - o[0], st[3*j+1] - o[1], st[3*j+2] - o[2]);
+            values[i].push(trailValue(j, at, vel, f.ids));
+        }
+    }
+    points.forEach((pts, i) => R.setTrail(i, pts, values[i]));
+    R.setTrailOrigin(trailOrigin[0], trailOrigin[1], trailOrigin[2]);   // frame k's origin
+}
+
+function scrubTo(k) {
+    if (!recorder.length) return;
+    if (!replay) {
+        replay = { index: recorder.length - 1, playing: false, wasPaused: paused, toggled: false };
+        paused = true;
+    }
+    replay.index = Math.max(0, Math.min(recorder.length - 1, k));
+    drawRecorded(replay.index);
+    updateTimeline();
+}
+
+function stepTimeline(d) {
+    if (replay) replay.playing = false;
+    scrubTo((replay ? replay.index : recorder.length - 1) + d);
+}
+
+// ▶ from live replays the whole recording; in replay it toggles play/stop
+function toggleReplay() {
+    if (!recorder.length) return;
+    if (!replay) scrubTo(0);
+    else if (replay.index >= recorder.length - 1) scrubTo(0);
+    replay.playing = !replay.playing;
+    updateTimeline();
+}
+
+// Back to the running simulation (the engine never left it)
+function goLive() {
+    if (!replay) return;
+    if (!replay.toggled) paused = replay.wasPaused;   // a pause/resume during replay wins
+    replay = null;
+    drawRecorded(recorder.length - 1);
+    setSimTime(engine.t);
+    updateTimeline();
+}
+
+// Restart the engine from the selected frame; the recording after it is discarded
+function branchHere() {
+    if (!replay) { toast('Scrub the timeline to a frame first'); return; }
+    const fr = recorder.at(replay.index), s = fr.snap, n = s.n;
+    const cam = R.getCameraMode(), camIds = cameraBodies(cam).map(k => bodyIds[k]);   // before the ids change
+    const pos = Array.from({ length: n }, (_, i) => [s.state[3*i], s.state[3*i+1], s.state[3*i+2]]);
+    const vel = Array.from({ length: n }, (_, i) => [s.state[3*n+3*i], s.state[3*n+3*i+1], s.state[3*n+3*i+2]]);
+    engine = createIntegrator(params.integrator, Array.from(s.m), pos, vel, params.softening);
+    engine.restore(s);
+    bodyIds = fr.ids.slice();
+    hosts.clear();
+    habitability.truncateAfter(engine.t);
+    baseline = fr.baseline;
+    drift.truncateAfter(engine.t);
+    monitor.reset(n);
+    simTimeDays = engine.t;
+    restartClock();
+    recorder.truncateAfter(replay.index);
+    trajectory?.truncateAfter(engine.t);
+    startWorker();
+    // the frame may have a different body set (before a merge): re-point what is chosen by body
+    refreshTrailFrameOptions();
+    refreshRulerOptions();
+    syncLegendColors();
+    const camIdx = camIds.map(id => bodyIds.indexOf(id));
+    if (camIdx.some((k, q) => k !== cameraBodies(cam)[q])) setCamera(cam.mode, cam.mode === 'corotate' ? { pair: camIdx } : { body: camIdx[0] });
+    else refreshCameraChips();
+    log(`Branched at t=${engine.t.toFixed(4)} d (frame ${replay.index + 1}); later frames discarded`);
+    replay = null;
+    paused = false;
+    updateTimeline();
+}
+
+// --- Trajectory export ---
+function updateTrajectoryStatus() {
+    setTrajectoryStatus(trajRecording, trajectory?.length ?? 0, trajectory?.events.length ?? 0);
+}
+
+function toggleTrajectory(cadence) {
+    if (trajRecording) {
+        trajRecording = false;
+        log(`Trajectory recording stopped: ${trajectory.length} samples, ${trajectory.events.length} events`);
+    } else {
+        trajectory = new TrajectoryLog({ ids: bodyIds, names: bodyIds.map(id => params.names[id - 1]), cadence });
+        trajectory.sample(engine, bodyIds, true);
+        trajRecording = true;
+        log(`Trajectory recording from t=${engine.t.toFixed(4)} d, ${cadence > 0 ? `every ${cadence} d` : 'every step'}`);
+    }
+    updateTrajectoryStatus();
+}
+
+// Event marker in body ids (call before the event is handled: a merge renumbers the engine)
+function markTrajectoryEvent(ev) {
+    if (!trajRecording) return;
+    const id = k => bodyIds[k];
+    switch (ev.type) {
+    case 'collision':
+        trajectory.addEvent({ t: ev.t, type: ev.type, bodies: [id(ev.i), id(ev.j)], sep: ev.sep, vRel: ev.vRel, outcome: COLLISION.outcome });
+        break;
+    case 'approach':
+        trajectory.addEvent({ t: ev.t, type: ev.type, bodies: [id(ev.i), id(ev.j)], sep: ev.sep, vRel: ev.vRel });
+        break;
+    case 'escape':
+        trajectory.addEvent({ t: ev.t, type: ev.type, bodies: [id(ev.index)], v: ev.v, vEsc: ev.vEsc, rCM: ev.rCM });
+        break;
+    }
+}
+
+const fileStamp = () => new Date().toISOString().replace(/[:.]/g, '-').slice(0, 19);
+
+function downloadTrajectory(format, every) {
+    if (!trajectory?.length) { toast('Nothing recorded yet — press ● Record first'); return; }
+    const stamp = fileStamp();
+    if (format === 'bin') downloadText(`trajectory-${stamp}.bin`, trajectory.toBinary(every), 'application/octet-stream');
+    else if (format === 'jsonl') downloadText(`trajectory-${stamp}.jsonl`, trajectory.toJSONL(every), 'application/x-ndjson');
+    else downloadText(`trajectory-${stamp}.csv`, trajectory.toCSV(every), 'text/csv');
+}
+
+// --- Stability sweep (cases run in Web Workers) ---
+let sweep = null;   // { cases, nx, ny, results, days, runner }
+
+// Sensible default range around the chosen quantity's current value
+function sweepAxisDefaults(A) {
+    readInputsIntoParams(params);
+    const ax = readSweepForm().axes[A === 'X' ? 0 : 1];
+    if (!ax?.field) return;
+    let v;
+    try { v = sweepValue(params, ax); } catch { v = 0; }
+    const ranges = { e: [0, 0.9], i: [0, 180], vfac: [0.5, 1.5], m: [v / 10, v * 10] };
+    const [lo, hi] = ranges[ax.field] ?? (v === 0 ? [-1, 1] : [0.5 * v, 1.5 * v].sort((a, b) => a - b));
+    setSweepRange(A, lo, hi);
+}
+
+function startSweep(form) {
+    const bad = form.axes.some(a => !Number.isFinite(a.min) || !Number.isFinite(a.max)) || !(form.days > 0) || !(form.dt > 0);
+    if (bad) { toast('Sweep: fill in both ends of every axis, days and dt'); return; }
+    sweep?.runner.cancel();
+    readInputsIntoParams(params);
+    const { cases, nx, ny } = buildSweepCases({ masses: params.masses, pos: params.pos, vel: params.vel }, form.axes);
+    const opts = { days: form.days, dt: form.dt, integrator: params.integrator, softening: params.softening };
+    const results = new Array(cases.length);
+    const s = sweep = { cases, nx, ny, results, days: form.days, axes: form.axes, runner: null };
+    let finished = 0;
+    const t0 = performance.now();
+    drawSweepMap(s);
+    setSweepStatus(`0/${cases.length}`);   // before runSweep: invalid cases (even all of them) report synchronously
+    s.runner = runSweep(cases, opts, {
+        workers: Math.max(1, (navigator.hardwareConcurrency || 2) - 1),
+        onResult: (c, r) => {
+            results[c.index] = r;
+            drawSweepMap(s);
+            setSweepStatus(`${++finished}/${cases.length}`);
+        },
+        onDone: () => {
+            const count = o => results.filter(r => r?.outcome === o).length;
+            setSweepStatus(`done in ${((performance.now() - t0) / 1000).toFixed(1)} s`);
+            log(`Sweep ${nx}×${ny} over ${form.days} d: ${count('survived')} survived, ${count('collision')} collisions, ` +
+                `${count('escape')} escapes${count('invalid') ? `, ${count('invalid')} invalid` : ''}`);
+        },
+    });
+}
+
+function cancelSweep() {
+    if (!sweep) return;
+    sweep.runner.cancel();
+    setSweepStatus('cancelled');
+}
+
+// Load the case behind a map cell into the main view
+function loadSweepCell(ix, iy) {
+    const c = sweep?.cases[iy * sweep.nx + ix];
+    if (!c) return;
+    if (!c.params) { log(`Sweep cell (${ix+1}, ${iy+1}): ${c.error}`); toast('That cell has no valid setup'); return; }
+    params = { ...params, masses: c.params.masses.slice(), pos: c.params.pos.map(r => r.slice()), vel: c.params.vel.map(v => v.slice()) };
+    bindInputs(params);
+    rebuildEngine();
+    paused = false;
+    const desc = (ax, v) => `${SWEEP_FIELDS[ax.field].label} of ${params.names[ax.body]} = ${+v.toPrecision(6)}`;
+    const r = sweep.results[c.index];
+    log(`Loaded sweep case: ${desc(sweep.axes[0], c.x)}${sweep.axes[1] ? `, ${desc(sweep.axes[1], c.y)}` : ''}` +
+        (r ? ` — ${r.outcome}${r.outcome !== 'survived' ? ` at ${r.t.toFixed(1)} d` : ''}` : ''));
+}
+
+// --- Orbital-elements panels (inputs in degrees, relative to a central body) ---
+const DEG = 180 / Math.PI;
+const toDeg = el => ({ ...el, i: el.i*DEG, Omega: el.Omega*DEG, omega: el.omega*DEG, nu: el.nu*DEG, M: el.M*DEG });
+
+function orbitCenter(i, masses, pos) {
+    const c = readOrbitInputs(i).center;
+    return c ?? dominantBody(masses, pos, i);
+}
+
+// Elements of body i as currently typed in the Cartesian inputs
+function fillOrbit(i) {
+    readInputsIntoParams(params);
+    const { masses, pos, vel } = params;
+    const c = orbitCenter(i, masses, pos);
+    const sub = (a, b) => [a[0]-b[0], a[1]-b[1], a[2]-b[2]];
+    setOrbitInputs(i, toDeg(stateToElements(sub(pos[i], pos[c]), sub(vel[i], vel[c]), muOf(masses[c], masses[i]))));
+    updateOsculating();
+}
+
+// Overwrite body i's position/velocity from its element inputs and restart
+function applyOrbit(i) {
+    readInputsIntoParams(params);
+    const el = readOrbitInputs(i);
+    const c = orbitCenter(i, params.masses, params.pos);
+    let rv;
+    try {
+        if (![el.a, el.e, el.i, el.Omega, el.omega, el.anomaly].every(Number.isFinite)) throw new Error('fill in every element');
+        const anomaly = el.anomalyKind === 'mean' ? { M: el.anomaly / DEG } : { nu: el.anomaly / DEG };
+        rv = elementsToState({ a: el.a, e: el.e, i: el.i / DEG, Omega: el.Omega / DEG, omega: el.omega / DEG, ...anomaly },
+            muOf(params.masses[c], params.masses[i]));
+    } catch (e) {
+        log(`Body ${i+1} elements: ${e.message}`);
+        toast('Invalid orbital elements — see Diagnostics log');
+        return;
+    }
+    params.pos[i] = params.pos[c].map((x, k) => x + rv.r[k]);
+    params.vel[i] = params.vel[c].map((x, k) => x + rv.v[k]);
+    bindInputs(params);
+    rebuildEngine();
+    log(`Body ${i+1} placed on a=${el.a} AU, e=${el.e} orbit about body ${c+1}`);
+}
+
+// Live osculating elements for every open panel (card index i ↔ engine index via bodyIds)
+function updateOsculating() {
+    if (!engine) return;
+    const P = engine.getPositions(), V = engine.getVelocities(), m = engine.m;
+    for (let i=0;i<params.masses.length;i++) {
+        if (!isOrbitPanelOpen(i)) continue;
+        const k = bodyIds.indexOf(i + 1);
+        const sel = readOrbitInputs(i).center;
+        const c = sel === null ? (k < 0 ? -1 : dominantBody(m, P, k)) : bodyIds.indexOf(sel + 1);
+        if (k < 0 || c < 0) { setOsculatingText(i, null); continue; }
+        const el = stateToElements([0,1,2].map(q => P[k][q] - P[c][q]), [0,1,2].map(q => V[k][q] - V[c][q]), muOf(m[c], m[k]));
+        setOsculatingText(i, toDeg(el), params.names[bodyIds[c] - 1]);
+    }
+}
+
+// --- Saved preset library (localStorage) ---
+// Every mutation re-renders the list; storage errors (quota, private mode) end up in the log.
+function libraryAction(fn, okMsg) {
+    try {
+        const res = fn();
+        renderUserPresets(Library.loadLibrary());
+        if (okMsg) toast(typeof okMsg === 'function' ? okMsg(res) : okMsg);
+        return res;
+    } catch (e) {
+        log(`Preset library: ${e.message}`);
+        toast('Preset library error — see Diagnostics log');
+    }
+}
+
+function saveUserPreset(name) {
+    readInputsIntoParams(params);
+    const scenario = JSON.parse(buildInitJSON(params));
+    libraryAction(() => Library.addPreset(name, scenario), p => `Saved preset “${p.name}”`);
+}
+
+function loadUserPreset(id) {
+    const p = Library.getPreset(id);
+    if (p) importInit(JSON.stringify(p.scenario), `saved preset “${p.name}”`);
+}
+
+function importLibraryFile(text, source) {
+    libraryAction(() => {
+        const { added, skipped } = Library.importLibrary(text);
+        log(`Imported ${added} preset(s) from ${source}` + (skipped.length ? `; skipped ${skipped.length}: ${skipped.join(' | ')}` : ''));
+        return added;
+    }, added => `Imported ${added} preset(s)`);
+}
+
 bindInputs(params);
+renderUserPresets(Library.loadLibrary());
 wireHUD({
-    onPause: () => { paused = !paused; },
+    onPause: () => { paused = !paused; if (replay) replay.toggled = true; },
+    onPhysicsWorker: setPhysicsWorker,
+    onBenchmark: setBenchmark,
+    onCaptureRecord: toggleCapture,
+    onCaptureStill: takeStill,
+    onCameraMode: mode => setCamera(mode),
+    onCameraChip,
+    onHabitableBand: band => {
+        if (!(band.min > 0 && band.max > band.min)) { toast('Habitable band needs 0 < min < max'); return; }
+        habitability.band = band;
+        habitability.clear();   // eras were classified against the old band
+    },
     onReset: rebuildEngine,
     onPreset: applyPreset,
-    onTimescale: () => { params.timeScale = parseFloat($('timescale').value); },
+    onTimescale: () => {
+        params.timeScale = parseFloat($('timescale').value);
+        if (params.clock !== 'fixed') physics?.setStep(workerDt());
+    },
     onTraillen: () => { params.trailLen  = parseInt($('traillen').value); },
     onSoftening: () => { params.softening = parseFloat($('softening').value); },
     onCopyJSON: () => { readInputsIntoParams(params); copyJSONToClipboard(buildInitJSON(params)); },
     onSelfTest: runSelfTests,
+    onIntegrator: setIntegrator,
+    onAddBody: addBody,
+    onRemoveBody: removeBody,
+    onCollisionOutcome: (v) => { COLLISION.outcome = v; physics?.setCollision(COLLISION); },
+    onClockMode: setClockMode,
+    onImportJSON: importInit,
+    onFixedDt: (v) => { if (v > 0) { params.fixedDt = v; restartClock(); } },
+    onUserPreset: loadUserPreset,
+    onSavePreset: saveUserPreset,
+    onRenamePreset: (id, name) => libraryAction(() => Library.renamePreset(id, name)),
+    onDuplicatePreset: (id) => libraryAction(() => Library.duplicatePreset(id), p => `Duplicated as “${p.name}”`),
+    onDeletePreset: (id) => libraryAction(() => Library.deletePreset(id), 'Preset deleted'),
+    onExportLibrary: () => downloadText('nbody-presets.json', Library.exportLibrary()),
+    onImportLibrary: importLibraryFile,
+    onSweepRun: startSweep,
+    onSweepCancel: cancelSweep,
+    onSweepCell: loadSweepCell,
+    onSweepAxis: sweepAxisDefaults,
+    onTrajectoryRecord: toggleTrajectory,
+    onTrajectoryDownload: downloadTrajectory,
+    onTimelineScrub: scrubTo,
+    onTimelineStep: stepTimeline,
+    onTimelineReplay: toggleReplay,
+    onTimelineBranch: branchHere,
+    onTimelineLive: goLive,
+    onApplyOrbit: applyOrbit,
+    onFillOrbit: fillOrbit,
     onVisualPreset: (key) => {
         R.setVisualPreset(key);
         // Reapply current masses so shells/cores update to new preset’s scales/materials
-        R.setMasses(params.masses);
+        R.setMasses(Array.from(engine.m), starFlags());
+        adoptPresetTrailStyle();
+        refreshVisualEditor();
+    },
+    onVisualEdit: editVisual,
+    onVisualSave: saveVisualAs,
+    onVisualDownload: () => downloadText('visual_config.json', R.exportVisualConfig()),
+    onVisualRevert: revertVisual,
+    onTrailColor: by => {
+        R.setTrailColorBy(by);
+        trailColorBy = R.getTrailStyle().color_by;
+        redrawTrails();
+    },
+    onTrailFrame: key => {
+        trailFrame = parseTrailFrame(key);
+        redrawTrails();
+        toast(`Trails: ${trailFrameLabel()}`);
+    },
+    onColorMode: mode => {
+        R.setColorMode(mode);
+        syncLegendColors();
+    },
+    onOverlay: (kind, on) => {
+        overlays[kind] = on;
+        R.setOverlay(kind, on);
+        refreshOverlays();
+    },
+    onRulerPair: (a, b) => {
+        rulerIds = [a, b];
+        refreshOverlays();
+    },
+    onArrowSpan: days => {
+        if (days > 0) { arrowSpanDays = days; refreshOverlays(); }
     }
 });
 
+// Legend dots take the colours drawn (blackbody stars in the physical colour mode)
+function syncLegendColors() {
+    R.getBodyColors().forEach((c, k) => setLegendColor(bodyIds[k], c));
+}
+
+// --- Visual editor: edits go to a draft of the selected preset, applied whenever it validates ---
+let visualDraft = null;
+
+function refreshVisualEditor(status = '') {
+    visualDraft = R.getPresetConfig();
+    renderVisualEditor(VISUAL_FIELDS, visualDraft);
+    setVisualEditorStatus(status);
+}
+
+// Show the current preset's (changed) settings; trail colouring / frame only when those changed
+function reapplyVisualPreset(trails) {
+    const info = R.getVisualConfig();
+    R.setVisualPreset(info.defaultKey);
+    R.setMasses(Array.from(engine.m), starFlags());
+    syncLegendColors();
+    populateVisualPresetOptions(info.presets, info.defaultKey);   // labels may have changed
+    if (trails) adoptPresetTrailStyle();
+}
+
+function editVisual(path, value) {
+    setPath(visualDraft, path, value);
+    const errors = validateVisualPreset(visualDraft);
+    if (errors.length) { setVisualEditorStatus(`${errors.length} problem(s), not applied`, errors); return; }
+    R.setPresetConfig(R.getVisualConfig().defaultKey, visualDraft);
+    reapplyVisualPreset(/^trails\.(color_by|frame)$/.test(path));
+    setVisualEditorStatus('edited');
+}
+
+// The draft becomes a new preset (kept in localStorage); the one it came from is reverted
+function saveVisualAs(name) {
+    const errors = validateVisualPreset(visualDraft);
+    if (errors.length) { toast('Fix the listed settings first'); return; }
+    const key = presetKey(name, Object.keys(R.getVisualConfig().presets));
+    const preset = { ...visualDraft, label: name };
+    try {
+        saveVisualPreset(key, preset);
+    } catch (e) {
+        toast(`Could not save: ${e.message}`);
+        return;
+    }
+    R.revertVisualPreset();
+    R.addVisualPreset(key, preset);
+    R.setVisualPreset(key);
+    reapplyVisualPreset(false);
+    refreshVisualEditor();
+    toast(`Saved visual preset “${name}”`);
+}
+
+function revertVisual() {
+    if (!R.revertVisualPreset()) return;
+    reapplyVisualPreset(true);
+    refreshVisualEditor('reverted');
+}
+
+/**
+ * Advance the engine by dt with events checked after every step. A collision ends
+ * the step at the contact time; unless it paused us, the remainder is integrated next.
+ * @returns {number} time left over when a pausing event interrupted the step (else 0)
+ */
+function advance(dt) {
+    let left = dt;
+    for (let guard = 0; left > 0 && !paused && guard < 16; guard++) {
+        const { advanced, events } = monitor.step(engine, left);
+        left -= advanced;
+        if (bench) bench.steps++;
+        events.forEach(ev => { markTrajectoryEvent(ev); handleEvent(ev); });
+        // an event forces a sample so the file has the state right at it
+        if (trajRecording) trajectory.sample(engine, bodyIds, events.length > 0);
+    }
+    return left > 0 ? left : 0;
+}
+
 const clock = new (window.THREE?.Clock ?? class { constructor(){this.t=performance.now()/1000} getDelta(){const n=performance.now()/1000; const d=n-this.t; this.t=n; return d;} })();
 function frame() {
     requestAnimationFrame(frame);
-    const delta = clock.getDelta();
+    const wall = clock.getDelta(), tWork = performance.now();
+    const delta = capture ? captureDelta() : wall;
+    physics?.setPaused(paused);   // the worker idles whenever the display does
+    if (capture && !captureDue(delta)) { R.render(); return; }
+    if (replay) {
+        if (replay.playing) {
+            if (replay.index < recorder.length - 1) drawRecorded(++replay.index);
+            else replay.playing = false;
+            updateTimeline();
+        }
+        present();
+        return;
+    }
     if (engine && !paused) {
-        const subSteps = 4;
-        const dt = (delta * params.timeScale) / subSteps;
-        let advanced = 0;
-        for (let i=0;i<subSteps;i++) { engine.step(dt); advanced += dt; }
-        simTimeDays += advanced;
+        let pos;
+        if (physics) pos = takeWorkerFrames(delta);
+        else if (params.clock === 'fixed') {
+            // deterministic: same dt every step, timescale slider = steps per frame
+            const steps = Math.max(1, Math.round(params.timeScale));
+            for (let i=0;i<steps && !paused;i++) {
+                pendingDt = advance(pendingDt > 0 ? pendingDt : params.fixedDt);
+                if (pendingDt === 0) engine.t = clockOrigin + (++fixedSteps) * params.fixedDt;
+            }
+        } else {
+            const subSteps = 4;
+            const dt = (delta * params.timeScale) / subSteps;
+            for (let i=0;i<subSteps && !paused;i++) advance(dt);
+        }
+        simTimeDays = physics ? displayT : engine.t;
+        recordFrame();
 
-        const pos = engine.getPositions();
+        pos ??= engine.getPositions(framePos);
         R.setPositions(pos);
-        for (let i=0;i<pos.length;i++) R.updateTrail(i, pos[i][0], pos[i][1], pos[i][2], params.trailLen);
-
-        // After updating positions, check for collisions
-        if (COLLISION.enabled) {
-            const hit = detectCollision({
-                engine,
-                masses: params.masses,
-                opts: (COLLISION.mode === 'vdt')
-                    ? { mode:'vdt', fudge: COLLISION.fudge, dt } // dt = per-substep size you used above
-                    : { mode:'core', fudge: COLLISION.fudge }
-            });
-            if (hit) {
-                paused = true;
-                log(`Collision detected between body ${hit.i+1} and ${hit.j+1} (sep=${hit.sep.toExponential(3)} AU, min=${hit.minSep.toExponential(3)} AU)`);
-                // optional: quick visual nudge (pulse their materials)
-                try {
-                    const gi = R.bodies[hit.i], gj = R.bodies[hit.j];
-                    gi.children?.forEach?.(child => child.material?.emissive?.offsetHSL(0, 0, 0.25));
-                    gj.children?.forEach?.(child => child.material?.emissive?.offsetHSL(0, 0, 0.25));
-                } catch {}
-                // optional UX
-                import('./ui.js').then(({ toast }) => toast(`Collision: ${hit.i+1} ↔ ${hit.j+1}. Simulation paused.`));
-            }
+        addTrailPoints(pos);
+        updateOverlays(pos, engine.state, engine.m, bodyIds);
+
+        const now = performance.now();
+        if (now >= hudDueAt) {
+            hudDueAt = now + HUD_INTERVAL_MS;
+            const E = engine.energy();
+            setEnergyText(E); setEnergyErrText(E, baseline.E); setStepText(engine.lastDt); setSimTime(simTimeDays);
+            updateDrift();
+            updateTelemetry();
+            updateHabitability();
+            updateOsculating();
+            updateTimeline();
+            updateTrajectoryStatus();
         }
+    }
+    present();
+    if (bench) benchFrame(wall * 1000, performance.now() - tWork);
+}
 
-        // --- Escape detection (after positions/trails updated) ---
-        if (ESCAPE.enabled) {
-            const esc = detectEscape({
-                engine,
-                masses: params.masses,
-                maxSepAU: ESCAPE.maxSepAU,
-                fudge: ESCAPE.fudge
-            });
-
-            // decay all counters by 1 (don’t let stale positives linger)
-            for (let i = 0; i < escapeCounters.length; i++) {
-                escapeCounters[i] = Math.max(0, escapeCounters[i] - 1);
-            }
+// Draw, and hand the picture to the recorder while capturing
+function present() {
+    R.render();
+    if (!capture) return;
+    capture.capture();
+    setCaptureStatus(true, capture.frames);
+    if (capture.full) finishCapture();
+}
 
-            if (esc) {
-                const k = esc.index;
-                // reinforce the candidate body
-                escapeCounters[k] = Math.min(ESCAPE.consecutive, escapeCounters[k] + 2);
+// --- Capture ---
+// Wall time one captured frame stands for: 1/fps on the realtime clock (so a second of video
+// covers `timescale` days), one display frame of fixed steps on the fixed clock
+const captureDelta = () => params.clock === 'fixed' ? 1 / 60 : 1 / capture.fps;
 
-                if (escapeCounters[k] >= ESCAPE.consecutive) {
-                    paused = true;
-                    const days = simTimeDays.toFixed(2);
-                    log(`Escape detected: body ${k+1} at ${days} d — r_CM=${esc.rCM.toFixed(3)} AU, v=${esc.v.toExponential(3)} AU/day, v_esc=${esc.vEsc.toExponential(3)} AU/day`);
+// Hold the sim while the WebM pacing wants a later frame or the worker hasn't reached this one
+function captureDue(delta) {
+    if (!capture.due(performance.now())) return false;
+    if (!physics || paused || replay) return true;
+    const t = displayT + delta * displayRate();
+    physics.demand(t + 4 * workerDt());
+    return physics.ready(t);
+}
 
-                    // optional: subtle visual cue (brighten emissive briefly)
-                    try {
-                        const g = R.bodies[k];
-                        g.children?.forEach?.(child => child.material?.emissive?.offsetHSL(0, 0, 0.35));
-                    } catch {}
+function toggleCapture({ format, fps, maxFrames, size }) {
+    if (capture) { finishCapture(); return; }
+    if (format === 'webm' && !canRecordWebM(R.canvas)) { toast('This browser cannot record WebM — use the PNG sequence'); return; }
+    if (size && Math.max(size.width, size.height) > R.maxOutputSize) { toast(`Largest size this GPU renders is ${R.maxOutputSize} px`); return; }
+    R.setOutputSize(size);
+    capture = new CanvasRecorder(R.canvas, { format, fps, maxFrames });
+    capture.start();
+    setCaptureStatus(true, 0);
+    log(`Capture started at t=${simTimeDays.toFixed(4)} d: ${format === 'webm' ? 'WebM' : 'PNG sequence'}, ${fps} fps, ` +
+        `${size ? `${size.width}×${size.height}` : 'window size'}`);
+}
 
-                    toast(`Escape: body ${k+1}. Simulation paused.`);
-                }
-            }
+async function finishCapture() {
+    const rec = capture;
+    capture = null;
+    R.setOutputSize(null);
+    setCaptureStatus(false, rec.frames, 'encoding…');
+    try {
+        const limit = rec.limit;
+        if (limit === 'memory' || limit === 'entries') {
+            log(`Capture stopped by itself: a PNG sequence is held in memory and zipped, so it ends at ` +
+                (limit === 'memory' ? `${(rec.maxBytes / 2 ** 30).toFixed(0)} GiB of frames` : `${rec.frames} files`));
+            toast('PNG capture stopped at its size limit');
         }
+        const { blob, ext, frames, fps } = await rec.stop();
+        downloadText(`nbody-${fileStamp()}.${ext}`, blob, blob.type);
+        log(`Capture saved: ${frames} frames, ${(blob.size / 1e6).toFixed(1)} MB`);
+        if (fps < 0.9 * rec.fps)
+            log(`WebM frames arrived at ${fps.toFixed(1)} fps, not ${rec.fps}: the video follows the wall clock, so it covers less sim time per second than asked. Use the PNG sequence for exact timing.`);
+        setCaptureStatus(false, 0);
+    } catch (err) {
+        setCaptureStatus(false, 0, 'failed');
+        toast(`Capture failed: ${err.message}`);
+    }
+}
+
+async function takeStill({ size }) {
+    size ??= { width: R.canvas.width, height: R.canvas.height };
+    if (Math.max(size.width, size.height) > R.maxOutputSize) { toast(`Largest size this GPU renders is ${R.maxOutputSize} px`); return; }
+    try {
+        const blob = await R.renderStill(size.width, size.height);
+        downloadText(`nbody-${fileStamp()}.png`, blob, 'image/png');
+        log(`Still saved: ${size.width}×${size.height} at t=${simTimeDays.toFixed(4)} d`);
+    } catch (err) { toast(`Still failed: ${err.message}`); }
+}
+
+function updateDrift() {
+    drift.push(conservationDrift(engine, baseline));
+    drawDriftCharts(drift.samples, DRIFT_SERIES);
+}
+
+// Per engine index: is that body a star (types are kept per original body id)
+const starFlags = (ids = bodyIds) => ids.map(id => params.types[id - 1] === 'star');
+
+// Telemetry table; host switches are tracked by body id so a merger isn't mistaken for one
+function updateTelemetry() {
+    const isStar = starFlags();
+    const rows = bodyTelemetry(engine, isStar);
+    renderTelemetry(rows, bodyIds.map(id => params.names[id - 1] || String(id)), isStar);
+    rows.forEach((r, i) => {
+        const id = bodyIds[i], host = r.host === null ? null : bodyIds[r.host];
+        if (!isStar[i] && hosts.has(id) && hosts.get(id) !== host) {
+            const name = h => h === null ? 'none' : idLabel(h);
+            log(`Host star of body ${idLabel(id)}: ${name(hosts.get(id))} → ${name(host)} at t=${engine.t.toFixed(2)} d`);
+            toast(host === null ? `Body ${idLabel(id)} has no host star` : `Body ${idLabel(id)} now orbits ${idLabel(host)}`);
+        }
+        hosts.set(id, host);
+    });
+}
+
+function updateHabitability() {
+    const p = planetIndex(engine.m), isStar = starFlags();
+    if (bodyIds[p] !== habPlanetId) { habitability.clear(); habPlanetId = bodyIds[p]; }
+    const ins = insolation(engine, isStar, p), prev = habitability.era;
+    habitability.push({ t: engine.t, flux: ins.flux, tEq: ins.tEq });
+    const era = habitability.era;
+    if (prev && era !== prev) log(`${era.kind === 'stable' ? 'Stable' : 'Chaotic'} era began at t=${era.start.toFixed(2)} d (flux ${ins.flux.toPrecision(3)} S⊕)`);
+    setHabitabilityText({
+        planet: idLabel(habPlanetId), flux: ins.flux, tEq: ins.tEq, era,
+        stars: bodyIds.map((id, j) => ({ label: idLabel(id), L: luminosityLsun(engine.m[j]), flux: ins.perStar[j] })).filter((_, j) => isStar[j] && j !== p),
+    });
+    drawHabitabilityChart(habitability);
+}
+
+// --- Camera (renderer.js modes). Chips name bodies by original index (id − 1); the renderer
+// works in engine indices, which shift when bodies merge.
+const CAMERA_LABELS = { free: 'Free orbit', barycentre: 'Barycentre', follow: 'Following', corotate: 'Co-rotating with', planet: 'Sky from' };
+
+const cameraBodies = c => c.mode === 'corotate' ? c.pair : ['follow', 'planet'].includes(c.mode) ? [c.body] : [];
+
+// --- Trail frame & colouring ---
+// Origin of the trail frame for n bodies with original ids, masses m and coordinates at(i, c).
+// A body frame whose body no longer exists falls back to the barycentre.
+function frameOrigin(n, at, m, ids, out = [0, 0, 0]) {
+    out[0] = out[1] = out[2] = 0;
+    if (trailFrame.mode === 'inertial') return out;
+    const k = trailFrame.mode === 'body' ? ids.indexOf(trailFrame.id) : -1;
+    if (k >= 0) { for (let c=0;c<3;c++) out[c] = at(k, c); return out; }
+    let M = 0;
+    for (let i=0;i<n;i++) { M += m[i]; for (let c=0;c<3;c++) out[c] += m[i] * at(i, c); }
+    for (let c=0;c<3;c++) out[c] /= M;
+    return out;
+}
 
-        if ((performance.now() % 250) < 16) { setEnergyText(engine.energy()); setSimTime(simTimeDays); }
+// Ramp value of body k's trail point: speed (AU/day) or distance to its host star (AU); -1 = none
+function trailValue(k, at, vel, ids) {
+    if (trailColorBy === 'speed') return Math.hypot(vel(k, 0), vel(k, 1), vel(k, 2));
+    if (trailColorBy !== 'distance') return -1;
+    const host = hosts.get(ids[k]), j = host == null ? -1 : ids.indexOf(host);
+    return j < 0 ? -1 : Math.hypot(at(k, 0) - at(j, 0), at(k, 1) - at(j, 1), at(k, 2) - at(j, 2));
+}
+
+// Live: one point per body for the frame on screen
+function addTrailPoints(pos) {
+    const s = engine.state, N3 = 3 * engine.n;
+    const at = (i, c) => pos[i][c], vel = (i, c) => s[N3 + 3*i + c];
+    const o = frameOrigin(pos.length, at, engine.m, bodyIds, trailOrigin);
+    R.setTrailOrigin(o[0], o[1], o[2]);
+    for (let i=0;i<pos.length;i++)
+        R.updateTrail(i, pos[i][0] - o[0], pos[i][1] - o[1], pos[i][2] - o[2], params.trailLen, trailValue(i, at, vel, bodyIds));
+}
+
+// After a frame or colouring change: points already drawn were stored the old way, so rebuild
+// them from the recording (as far back as it reaches)
+function redrawTrails() {
+    if (recorder.length) trailsFromRecording(replay ? replay.index : recorder.length - 1);
+}
+
+const trailFrameKey = () => trailFrame.mode === 'body' ? `body:${trailFrame.id}` : trailFrame.mode;
+const trailFrameLabel = () => trailFrame.mode === 'body' ? `relative to ${idLabel(trailFrame.id)}`
+    : trailFrame.mode === 'barycentre' ? 'relative to the barycentre' : 'inertial frame';
+
+// 'inertial' | 'barycentre' | 'body:<id>' (HUD select values and visual_config.json "frame")
+function parseTrailFrame(key) {
+    const m = /^body:(\d+)$/.exec(key);
+    if (m) return { mode: 'body', id: parseInt(m[1]) };
+    return { mode: key === 'barycentre' ? 'barycentre' : 'inertial', id: trailFrame.id };
+}
+
+function refreshTrailFrameOptions() {
+    if (trailFrame.mode === 'body' && !bodyIds.includes(trailFrame.id)) trailFrame = { mode: 'barycentre', id: trailFrame.id };
+    setTrailFrameOptions(bodyIds.map(id => ({ id, label: idLabel(id) })), trailFrameKey());
+}
+
+// The visual preset's trail defaults: colouring and reference frame
+function adoptPresetTrailStyle() {
+    R.setTrailColorBy(null);
+    const style = R.getTrailStyle();
+    trailColorBy = style.color_by;
+    trailFrame = parseTrailFrame(style.frame);
+    setTrailColorSelect(trailColorBy);
+    refreshTrailFrameOptions();
+    redrawTrails();
+}
+
+// --- Overlays ---
+const bodyName = id => params.names?.[id - 1] || `Body ${id}`;
+
+// Arrow vectors in AU: v·k, shortened to ARROW_MAX_AU (written to a reused buffer)
+function scaleArrows(v, k) {
+    for (let i=0;i<v.length;i+=3) {
+        const len = k * Math.hypot(v[i], v[i+1], v[i+2]), f = len > ARROW_MAX_AU ? ARROW_MAX_AU / len : 1;
+        for (let c=0;c<3;c++) overlayVec[i+c] = v[i+c] * k * f;
     }
-    R.render();
+    return overlayVec;
+}
+
+// Overlay data for the frame on screen: displayed positions pos, state s (velocities, and the
+// positions the accelerations are taken at), masses m and original ids. Only what is shown is computed.
+function updateOverlays(pos, s, m, ids) {
+    const n = pos.length;
+    if (overlays.labels) R.setLabels(ids.map(bodyName));
+    if (overlayVec.length !== 3 * n) { overlayVec = new Float64Array(3 * n); overlayAcc = new Float64Array(3 * n); }
+    if (overlays.velocity) R.setVectors('velocity', scaleArrows(s.subarray(3 * n, 6 * n), arrowSpanDays));
+    if (overlays.accel) {
+        gravityAccel(overlayAcc, s, m, params.softening ** 2);
+        R.setVectors('accel', scaleArrows(overlayAcc, arrowSpanDays ** 2));
+    }
+    if (overlays.barycentre) {
+        let M = 0, x = 0, y = 0, z = 0;
+        for (let i=0;i<n;i++) { M += m[i]; x += m[i] * pos[i][0]; y += m[i] * pos[i][1]; z += m[i] * pos[i][2]; }
+        R.setBarycentre(x / M, y / M, z / M);
+    }
+    if (overlays.ruler) {
+        const a = ids.indexOf(rulerIds[0]), b = ids.indexOf(rulerIds[1]);
+        if (a < 0 || b < 0 || a === b) R.setRuler(null);
+        else R.setRuler(a, b, `${Math.hypot(pos[a][0] - pos[b][0], pos[a][1] - pos[b][1], pos[a][2] - pos[b][2]).toPrecision(4)} AU`);
+    }
+}
+
+// Redo the overlays for what is on screen now (e.g. toggled while paused)
+function refreshOverlays() {
+    const pos = R.bodies.map(g => g.position.toArray());
+    if (replay) {
+        const fr = recorder.at(replay.index);
+        updateOverlays(pos, fr.snap.state, fr.snap.m, fr.ids);
+    } else updateOverlays(pos, engine.state, engine.m, bodyIds);
+}
+
+function refreshRulerOptions() {
+    if (!rulerIds.every(id => bodyIds.includes(id))) rulerIds = bodyIds.slice(0, 2);
+    setRulerOptions(bodyIds.map(id => ({ id, label: idLabel(id) })), rulerIds);
+}
+
+// Re-highlight after anything that renumbers bodies or regenerates the chips
+function refreshCameraChips() {
+    const c = R.getCameraMode();
+    setCameraChips(c.mode, cameraBodies(c).map(k => bodyIds[k] - 1));
+}
+
+function setCamera(mode, pick = {}) {
+    R.setCameraMode(mode, pick);
+    refreshCameraChips();
+    const c = R.getCameraMode(), tied = cameraBodies(c);
+    if (c.mode !== mode) toast('Camera: not enough bodies for that mode — centred on the barycentre');
+    else toast(`Camera: ${CAMERA_LABELS[c.mode]}${tied.length ? ' ' + tied.map(bodyLabel).join(' + ') : ''}`);
+}
+
+// click: follow (again: back to the barycentre) · shift-click: co-rotate with the followed body · double-click: its sky
+function onCameraChip(i, { pair, eye }) {
+    const k = bodyIds.indexOf(i + 1), c = R.getCameraMode();
+    if (k < 0) { toast(`Body ${idLabel(i + 1)} no longer exists`); return; }
+    if (eye) setCamera('planet', { body: k });
+    else if (pair && c.body === k) toast('Camera: co-rotation needs two bodies — click one to follow, then shift-click another');
+    else if (pair) setCamera('corotate', { pair: [c.body, k] });
+    else if (c.mode === 'follow' && c.body === k) setCamera('barycentre');
+    else setCamera(c.mode === 'planet' ? 'planet' : 'follow', { body: k });
+}
+
+function setBenchmark(on) {
+    bench = on ? { since: performance.now(), steps: 0, frames: [], work: 0 } : null;
+    setBenchmarkText(null);
+}
+
+// frameMs: time since the previous frame; workMs: main-thread time spent in this one
+function benchFrame(frameMs, workMs) {
+    bench.frames.push(frameMs);
+    bench.work += workMs;
+    const now = performance.now(), span = now - bench.since;
+    if (span < 1000) return;
+    const f = bench.frames.sort((a, b) => a - b), n = f.length;
+    setBenchmarkText({
+        stepsPerSec: bench.steps * 1000 / span,
+        fps: n * 1000 / span,
+        avg: f.reduce((a, b) => a + b, 0) / n,
+        p95: f[Math.min(n - 1, Math.floor(0.95 * n))],
+        max: f[n - 1],
+        work: bench.work / n,
+        where: physics ? 'worker' : 'main thread',
+    });
+    bench.since = now; bench.steps = 0; bench.frames.length = 0; bench.work = 0;
 }
 
 function runSelfTests(){
     clearLog(); log('Running tests…');
 
+    const bodyInputIds = params.masses.flatMap((_, i) =>
+        ['name','type','m','x','y','z','vx','vy','vz'].map(f => f + i).concat(`legend${i+1}`));
     const ids = [
-        'm0','m1','m2','m3','x0','y0','z0','vx0','vy0','vz0',
-        'x1','y1','z1','vx1','vy1','vz1',
-        'x2','y2','z2','vx2','vy2','vz2',
-        'x3','y3','z3','vx3','vy3','vz3',
+        ...bodyInputIds,
         'timescale','traillen','softening',
-        'legend1','legend2','legend3','legend4',
-        'pause','reset','selftest','togglePanel','copyjson','jsonbox','simtime','visualPreset'
+        'pause','reset','addbody','selftest','togglePanel','copyjson','jsonbox','simtime','visualPreset','integrator','stepsize','energyerr','collisionOutcome','clockMode','fixeddt','loadjson','driftChart','telemetry','habChart','habMin','habMax','cameraMode','capRec','capStill','colorMode','trailColor','trailFrame','visualEditor','veSave','veDownload','veRevert',
+        'ovLabels','ovVelocity','ovAccel','ovBarycentre','ovRuler','ovRulerA','ovRulerB','ovSpan'
     ];
     const missing = ids.filter(id => !$(id));
     const pass0 = missing.length === 0;
@@ -212,11 +1267,250 @@ function runSelfTests(){
     let parsedOk = false; try { JSON.parse(js); parsedOk = true } catch {}
     log(`Test 4 (init JSON parses): ${parsedOk ? 'PASS' : 'FAIL'}`);
 
+    // Export → import round trip, old bare JSON migrates, and bad input is rejected with a reason
+    let roundTrip = false, migrated = false, rejected = false;
+    try {
+        const sc = parseScenario(js);
+        roundTrip = sc.version === SCENARIO_VERSION && JSON.stringify(sc.params.pos) === JSON.stringify(params.pos)
+            && JSON.stringify(sc.params.names) === JSON.stringify(params.names);
+    } catch {}
+    try { migrated = parseScenario(JSON.stringify({ masses: params.masses, pos: params.pos, vel: params.vel })).migrated; } catch {}
+    try { parseInitJSON('{"masses":[1,1],"pos":[[0,0,0]],"vel":[[0,0,0],[0,0,null]]}'); }
+    catch (e) { rejected = /pos has 1 entries/.test(e.message) && /vel\[1\]\[2\]/.test(e.message); }
+    log(`Test 4b (scenario round-trip, bare JSON migration & validation): ${roundTrip && migrated && rejected ? 'PASS' : 'FAIL'}`);
+
     // Sim time format
     setSimTime(12.3456);
     const pass5 = $('simtime').textContent.includes('12.35 d');
     log(`Test 5 (simtime formats): ${pass5 ? 'PASS' : 'FAIL'}`);
 
+    // Every integrator on the same run: symplectic/adaptive ones should beat the 1e-3 bound easily
+    const drifts = Object.keys(INTEGRATORS).map(key => {
+        const e = createIntegrator(key, P.masses, P.pos, P.vel, 1e-6);
+        const e0 = e.energy(); for (let i=0;i<200;i++) e.step(0.01);
+        return [key, Math.abs((e.energy() - e0) / e0)];
+    });
+    const pass6 = drifts.every(([, d]) => d < 1e-3);
+    log(`Test 6 (all integrators, energy drift < 1e-3): ${pass6 ? 'PASS' : 'FAIL'} (${drifts.map(([k, d]) => `${k}=${d.toExponential(2)}`).join(', ')})`);
+
+    // Body count round-trip: add → 5 cards/legend chips, remove → back to 4
+    addBody();
+    const pass7a = $('m4') && $('legend5') && R.bodies.length === 5;
+    removeBody(4);
+    const pass7 = pass7a && !$('m4') && !$('legend5') && R.bodies.length === 4;
+    log(`Test 7 (add/remove body): ${pass7 ? 'PASS' : 'FAIL'}`);
+
+    // Perfect merge conserves mass and linear momentum and shrinks the engine
+    const T = PRESETS['tristar-planet'];
+    const me = createIntegrator('rk4', T.masses, T.pos, T.vel, 1e-6);
+    const momentum = e => [0,1,2].map(c => { let p=0; for (let i=0;i<e.n;i++) p += e.m[i]*e.state[3*e.n+3*i+c]; return p; });
+    const p0 = momentum(me), M0 = me.m.reduce((x, y) => x + y, 0);
+    me.mergeBodies(1, 3);
+    const p1 = momentum(me), M1 = me.m.reduce((x, y) => x + y, 0);
+    const pass8 = me.n === 3 && approxEqual(M0, M1, 1e-14) && p0.every((p, c) => Math.abs(p - p1[c]) < 1e-15);
+    log(`Test 8 (merge conserves mass & momentum): ${pass8 ? 'PASS' : 'FAIL'}`);
+
+    // Head-on pair moving 0.3 AU per step (≫ contact distance) must not tunnel through
+    const he = createIntegrator('rk4', [1,1], [[-0.5,0.001,0],[0.5,0,0]], [[0.5,0,0],[-0.5,0,0]], 1e-6);
+    const hm = new EventMonitor({ collision: { ...COLLISION, nearMiss: 0 }, escape: { enabled:false } });
+    let contact = null;
+    for (let k=0;k<10 && !contact;k++) contact = hm.step(he, 0.3).events.find(ev => ev.type === 'collision');
+    const pass9 = !!contact && contact.t > 0.9 && contact.t < 1 && Math.abs(contact.sep - contact.minSep) < 1e-9;
+    log(`Test 9 (sub-step collision located): ${pass9 ? 'PASS' : 'FAIL'}${contact ? ` (t=${contact.t.toFixed(6)} d)` : ''}`);
+
+    // Fixed-step runs are bit-for-bit reproducible
+    const run = () => {
+        const e = createIntegrator('yoshida4', T.masses, T.pos, T.vel, 1e-6);
+        const m = new EventMonitor({ collision: COLLISION, escape: ESCAPE });
+        for (let k=0;k<500;k++) m.step(e, params.fixedDt);
+        return e.state;
+    };
+    const s1 = run(), s2 = run();
+    const pass10 = s1.every((x, k) => Object.is(x, s2[k]));
+    log(`Test 10 (fixed-step determinism): ${pass10 ? 'PASS' : 'FAIL'}`);
+
+    // Orbital elements → state → elements round-trip (eccentric inclined ellipse, hyperbola)
+    const mu11 = muOf(1, 3.003e-6);
+    const pass11 = [
+        { a: 1.3, e: 0.4, i: 0.35, Omega: 0.7, omega: 1.2, M: 2.0 },
+        { a: -2, e: 1.5, i: 2.1, Omega: 5.2, omega: 0.2, nu: -1.0 },
+    ].every(el => {
+        const { r, v } = elementsToState(el, mu11);
+        const b = stateToElements(r, v, mu11);
+        return ['a', 'e', 'i', 'Omega', 'omega', el.M !== undefined ? 'M' : 'nu'].every(k => approxEqual(b[k], el[k], 1e-9));
+    });
+    log(`Test 11 (orbital elements round-trip): ${pass11 ? 'PASS' : 'FAIL'}`);
+
+    // Recorder wraps around, and branching from a frame replays the same future bit-for-bit
+    const rec = new Recorder(50);
+    const re = createIntegrator('yoshida4', T.masses, T.pos, T.vel, 1e-6);
+    for (let k=0;k<80;k++) { rec.record(re); re.step(params.fixedDt); }
+    const br = createIntegrator('yoshida4', T.masses, T.pos, T.vel, 1e-6);
+    br.restore(rec.at(10).snap);
+    for (let k=0;k<20;k++) br.step(params.fixedDt);
+    const pass12 = rec.length === 50 && approxEqual(rec.at(0).snap.t, re.t - 50 * params.fixedDt, 1e-12)
+        ? br.state.every((x, k) => Object.is(x, rec.at(30).snap.state[k])) : false;
+    log(`Test 12 (recorder ring buffer & branch replay): ${pass12 ? 'PASS' : 'FAIL'}`);
+
+    // The worker's loop (SimLoop) integrates exactly like the main-thread fixed clock
+    const sl = new SimLoop({ integrator: 'yoshida4', softening: 1e-6, ids: [1,2,3,4], collision: COLLISION, escape: ESCAPE, dt: params.fixedDt,
+                             snap: createIntegrator('yoshida4', T.masses, T.pos, T.vel, 1e-6).snapshot() });
+    for (let k=0;k<500;k++) sl.step();
+    const pass13 = sl.engine.state.every((x, k) => Object.is(x, s1[k])) && approxEqual(sl.engine.t, 500 * params.fixedDt, 1e-15);
+    log(`Test 13 (worker loop matches main-thread stepping): ${pass13 ? 'PASS' : 'FAIL'}`);
+
+    // Hot path doesn't allocate: no typed arrays are created while any integrator steps (a fresh
+    // snapshot() must be counted, or the probe isn't working), snapshot(into) refills in place,
+    // and a full recorder refills the frame it drops
+    const F64 = globalThis.Float64Array;
+    let made14 = 0, stepMade14 = 0, snapMade14 = 0;
+    globalThis.Float64Array = class extends F64 { constructor(...a) { super(...a); made14++; } };
+    try {
+        for (const key of Object.keys(INTEGRATORS)) {
+            const e = createIntegrator(key, T.masses, T.pos, T.vel, 1e-6);
+            e.step(params.fixedDt);   // the first step sizes the scratch buffers
+            made14 = 0;
+            for (let i=0;i<10;i++) e.step(params.fixedDt);
+            stepMade14 += made14;
+        }
+        made14 = 0;
+        createIntegrator('rk4', T.masses, T.pos, T.vel, 1e-6).snapshot();
+        snapMade14 = made14;
+    } finally { globalThis.Float64Array = F64; }
+    const hp = createIntegrator('rk4', T.masses, T.pos, T.vel, 1e-6);
+    hp.step(params.fixedDt);
+    const snap14 = hp.snapshot(), reused = hp.snapshot(snap14);
+    hp.step(params.fixedDt);
+    const s14 = Float64Array.from(hp.state);
+    hp.restore(reused); hp.step(params.fixedDt);
+    const rec14 = new Recorder(2);
+    rec14.record(hp);
+    const oldest14 = rec14.at(0).snap;
+    rec14.record(hp); rec14.record(hp);
+    const pass14 = stepMade14 === 0 && snapMade14 > 0 && reused === snap14 && hp.state.every((x, k) => Object.is(x, s14[k]))
+        && rec14.at(1).snap === oldest14;
+    log(`Test 14 (allocation-free stepping buffers): ${pass14 ? 'PASS' : 'FAIL'} (${stepMade14} arrays made in 10 steps of every integrator)`);
+
+    // A merger conserves momentum and leaves the centre of mass on its straight line
+    const me15 = createIntegrator('rk4', T.masses, T.pos, T.vel, 1e-6);
+    for (let k=0;k<50;k++) me15.step(params.fixedDt);
+    const base15 = conservedBaseline(me15);
+    me15.mergeBodies(0, 1);
+    for (let k=0;k<50;k++) me15.step(params.fixedDt);
+    const d15 = conservationDrift(me15, base15);
+    const pass15 = d15.dP < 1e-12 && d15.dCM < 1e-10;
+    log(`Test 15 (merge conserves P and CM motion): ${pass15 ? 'PASS' : 'FAIL'} (dP=${d15.dP.toExponential(2)}, dCM=${d15.dCM.toExponential(2)} AU)`);
+
+    // Telemetry: the tristar planet starts inside star 2's Hill sphere, bound to it
+    const tel = bodyTelemetry(createIntegrator('rk4', T.masses, T.pos, T.vel, 1e-6), [true, true, true, false])[3];
+    const pass16 = tel.hill === 1 && tel.host === 1 && tel.energy[1] < 0 && approxEqual(tel.dist[1], 0.25, 1e-12);
+    log(`Test 16 (telemetry host star & Hill sphere): ${pass16 ? 'PASS' : 'FAIL'}`);
+
+    // Insolation: a 1 M☉ star at 1 AU gives 1 S⊕ and Earth's ~255 K
+    const sun = createIntegrator('rk4', [1, 3.003e-6], [[0,0,0],[1,0,0]], [[0,0,0],[0,0.0172,0]], 1e-6);
+    const ins17 = insolation(sun, [true, false], planetIndex(sun.m));
+    const pass17 = approxEqual(ins17.flux, 1, 1e-12) && Math.abs(ins17.tEq - 254.9) < 0.5;
+    log(`Test 17 (insolation & T_eq for Sun–Earth): ${pass17 ? 'PASS' : 'FAIL'} (S=${ins17.flux.toFixed(3)} S⊕, T=${ins17.tEq.toFixed(1)} K)`);
+
+    // Capture zip: CRC-32 check value, stored entries laid out back to back, and no more entries than a zip can count
+    const zip18 = zipStore([{ name: 'a.png', data: new Uint8Array(10) }, { name: 'b.png', data: new Uint8Array(3) }]);
+    let tooMany18 = false;
+    try { zipStore(new Array(ZIP_MAX_ENTRIES + 1).fill({ name: 'x', data: new Uint8Array(0) })); }
+    catch (e) { tooMany18 = /at most 65535/.test(e.message); }
+    const pass18 = crc32(new TextEncoder().encode('123456789')) === 0xCBF43926 && zip18.size === 2 * (30 + 46 + 2 * 5) + 13 + 22
+        && tooMany18;
+    log(`Test 18 (capture zip writer): ${pass18 ? 'PASS' : 'FAIL'}`);
+
+    // Effective temperature: the Sun's 5772 K, hotter with mass (0.75 M☉ is a K star, 1.1 M☉ an F star)
+    const teff = [0.75, 1, 1.1].map(effectiveTemperatureK);
+    const pass19 = approxEqual(teff[1], 5772, 1e-12) && teff[0] < 5300 && teff[2] > 5900;
+    log(`Test 19 (T_eff from mass): ${pass19 ? 'PASS' : 'FAIL'} (${teff.map(t => t.toFixed(0)).join(' / ')} K)`);
+
+    // Visual presets: every loaded one validates; an inverted range and an off-scale slider don't
+    const visual = R.getVisualConfig().presets;
+    const invalid = Object.keys(visual).filter(k => validateVisualPreset(visual[k]).length);
+    const broken = setPath(setPath(R.getPresetConfig(), 'trails.speed_range', [0.05, 0.01]), 'lighting.bloom_strength', 99);
+    const pass20 = invalid.length === 0 && validateVisualPreset(broken).length === 2;
+    log(`Test 20 (visual preset validation): ${pass20 ? 'PASS' : 'FAIL'}${invalid.length ? ' invalid=' + invalid.join(',') : ''}`);
+
+    // Acceleration arrows: Earth 1 AU from the Sun is pulled sunward at G·M☉/AU², the Sun by G·M⊕/AU²
+    const acc21 = new Float64Array(6);
+    gravityAccel(acc21, Float64Array.of(0, 0, 0, 1, 0, 0), Float64Array.of(1, 3.003e-6), 0);
+    const pass21 = Math.abs(acc21[3] / -G - 1) < 1e-12 && Math.abs(acc21[0] / (G * 3.003e-6) - 1) < 1e-12 && acc21[4] === 0;
+    log(`Test 21 (overlay accelerations): ${pass21 ? 'PASS' : 'FAIL'} (a⊕=${acc21[3].toExponential(6)} AU/day²)`);
+
+    // Trail frames and colour values: 2 M☉ at the origin, 1 M☉ at x = 3 AU moving at (0.03, 0.04) AU/day
+    const r22 = [[0, 0, 0], [3, 0, 0]], v22 = [[0, 0, 0], [0.03, 0.04, 0]], m22 = [2, 1], ids22 = [1, 2];
+    const at22 = (i, c) => r22[i][c], vel22 = (i, c) => v22[i][c];
+    const kept22 = { trailFrame, trailColorBy, host: hosts.get(2) };
+    const origin22 = frame => { trailFrame = frame; return frameOrigin(2, at22, m22, ids22).slice(); };
+    const bary22 = origin22({ mode: 'barycentre', id: 1 }), body22 = origin22({ mode: 'body', id: 2 });
+    const gone22 = origin22({ mode: 'body', id: 9 }), inert22 = origin22({ mode: 'inertial', id: 1 });
+    hosts.set(2, 1);
+    const value22 = by => { trailColorBy = by; return trailValue(1, at22, vel22, ids22); };
+    const speed22 = value22('speed'), dist22 = value22('distance'), plain22 = value22('body');
+    ({ trailFrame, trailColorBy } = kept22);
+    if (kept22.host === undefined) hosts.delete(2); else hosts.set(2, kept22.host);
+    const pass22 = approxEqual(bary22[0], 1, 1e-12) && body22[0] === 3 && approxEqual(gone22[0], 1, 1e-12) && inert22[0] === 0
+        && approxEqual(speed22, 0.05, 1e-12) && dist22 === 3 && plain22 === -1;
+    log(`Test 22 (trail frames & colour values): ${pass22 ? 'PASS' : 'FAIL'} (CM x=${bary22[0]}, speed=${speed22}, distance=${dist22})`);
+
+    // Sweep: grid layout with invalid cells, then a bound orbit survives and a radial fall collides
+    const base23 = { masses: [1, 3.003e-6], pos: [[0, 0, 0], [1, 0, 0]], vel: [[0, 0, 0], [0, Math.sqrt(G), 0]] };
+    const grid23 = buildSweepCases(base23, [{ body: 1, field: 'm', min: -1e-6, max: 3e-6, steps: 3 },
+                                            { body: 1, field: 'x', min: 0.9, max: 1.1, steps: 2 }]);
+    const cell23 = grid23.cases[4];   // row-major, x fastest: ix=1, iy=1
+    const orbit23 = runCase(base23, { days: 365.25, dt: 0.05, integrator: 'rk4', softening: 1e-6 });
+    const fall23 = runCase({ ...base23, vel: [[0, 0, 0], [0, 0, 0]] }, { days: 100, dt: 0.05, integrator: 'rk4', softening: 1e-6 });
+    const pass23 = grid23.nx === 3 && grid23.ny === 2 && grid23.cases.filter(c => c.error).length === 2
+        && cell23.params.masses[1] === 1e-6 && cell23.params.pos[1][0] === 1.1
+        && orbit23.outcome === 'survived' && Math.abs(orbit23.energyErr) < 1e-6 && fall23.outcome === 'collision';
+    log(`Test 23 (sweep grid & case outcomes): ${pass23 ? 'PASS' : 'FAIL'} (fall: ${fall23.outcome} at ${fall23.t.toFixed(2)} d)`);
+
+    // Trajectory writers: 6 samples every 2nd kept, plus the event-forced one at t=3
+    const traj24 = new TrajectoryLog({ ids: [7], names: ['Probe'] });
+    for (let t = 0; t < 6; t++) {
+        traj24.sample({ t, state: Float64Array.of(t, 0, 0, 1, 0, 0), m: Float64Array.of(0.5), energy: () => -1 }, [7], t === 3);
+        if (t === 3) traj24.addEvent({ t, type: 'escape', bodies: [7] });
+    }
+    const csv24 = traj24.toCSV(2).trim().split('\n'), t24 = csv24.slice(1).map(l => l.split(',')[0]).join();
+    const bin24 = traj24.toBinary(2), view24 = new DataView(bin24);
+    const magic24 = String.fromCharCode(...new Uint8Array(bin24, 0, 8)), headLen24 = view24.getUint32(8, true);
+    const head24 = JSON.parse(new TextDecoder().decode(new Uint8Array(bin24, 12, headLen24)));
+    const vals24 = Array.from({ length: (bin24.byteLength - 12 - headLen24) / 8 }, (_, q) => view24.getFloat64(12 + headLen24 + 8 * q, true));
+    const pass24 = csv24.length === 6 && csv24[0] === 't,E,x7,y7,z7,vx7,vy7,vz7,m7,events'
+        && t24 === '0,2,3,4,5' && csv24[3].endsWith(',escape:7@3')
+        && magic24 === BINARY_MAGIC && (12 + headLen24) % 8 === 0 && head24.samples === 5 && head24.events.length === 1
+        && vals24.length === 5 * 9 && vals24[18] === 3 && vals24[19] === -1 && vals24[23] === 1 && vals24[26] === 0.5;
+    log(`Test 24 (trajectory thinning & writers): ${pass24 ? 'PASS' : 'FAIL'} (rows t=${t24})`);
+
+    // Preset library round trip on an in-memory Storage: damaged entries dropped, export → import keeps scenarios
+    const memStore25 = () => { const m = new Map(); return { getItem: k => m.get(k) ?? null, setItem: (k, v) => m.set(k, String(v)) }; };
+    const src25 = memStore25(), dst25 = memStore25();
+    const scen25 = JSON.parse(buildInitJSON(params));
+    src25.setItem('nbody.userPresets', JSON.stringify({ format: Library.LIBRARY_FORMAT, version: Library.LIBRARY_VERSION,
+        presets: [null, { name: 'No id', scenario: scen25 }, { id: 'old', name: 'Old', scenario: scen25, created: 42 }] }));
+    const old25 = Library.loadLibrary(src25);
+    Library.addPreset('Trio', scen25, src25);
+    const imp25 = Library.importLibrary(Library.exportLibrary(src25), dst25);
+    Library.importLibrary(Library.exportLibrary(src25), dst25);
+    const got25 = Library.loadLibrary(dst25);
+    const pass25 = old25.length === 1 && old25[0].updated === '' && imp25.added === 2 && imp25.skipped.length === 0
+        && got25.map(p => p.name).join() === 'Old,Trio,Old (2),Trio (2)'
+        && JSON.stringify(parseScenario(JSON.stringify(got25[3].scenario)).params.pos) === JSON.stringify(params.pos);
+    log(`Test 25 (preset library round trip): ${pass25 ? 'PASS' : 'FAIL'} (${got25.length} presets: ${got25.map(p => p.name).join(', ')})`);
+
+    // LogH run forwards then backwards lands back on the start (clock and state)
+    const e26 = createIntegrator('logh', P.masses, P.pos, P.vel), s26 = Float64Array.from(e26.state);
+    for (let i = 0; i < 20; i++) e26.step(0.5);
+    for (let i = 0; i < 20; i++) e26.step(-0.5);
+    const err26 = s26.reduce((d, x, i) => Math.max(d, Math.abs(e26.state[i] - x)), 0);
+    setStepText(e26.lastDt);
+    const step26 = $('stepsize').textContent;
+    setStepText(engine.lastDt);
+    const pass26 = Math.abs(e26.t) < 1e-12 && err26 < 1e-6 && /^← \d\.\d{3}e[-+]\d+ d$/.test(step26);
+    log(`Test 26 (LogH negative steps): ${pass26 ? 'PASS' : 'FAIL'} (t=${e26.t.toExponential(1)}, max state err=${err26.toExponential(2)}, step shown ${step26})`);
+
     applyPreset('tristar-planet');
 }
 
@@ -224,8 +1518,24 @@ function runSelfTests(){
 applyPreset('tristar-planet');
 bindInputs(params);
 rebuildEngine();
+sweepAxisDefaults('X');
+adoptPresetTrailStyle();
+refreshVisualEditor();
+{   // camera defaults until a chip is picked: the planet, and the two heaviest bodies
+    const heavy = params.masses.map((m, i) => i).sort((a, b) => params.masses[b] - params.masses[a]);
+    R.setCameraMode('free', { body: planetIndex(params.masses), pair: heavy.slice(0, 2) });
+}
+if ($('physWorker').checked) setPhysicsWorker(true);
+{
+    // Shared scenario link: ?init=<JSON or base64 JSON>
+    const init = new URLSearchParams(location.search).get('init');
+    if (init) {
+        try { importInit(decodeInitParam(init), '?init='); }
+        catch (e) { log(`Import from ?init= failed — ${e.message}`); toast('Import failed — see Diagnostics log'); }
+    }
+}
 frame();
 
 // Show one-time hint for HUD shortcut
 toast('Tip: Press H to hide/show the control panel');
-toast('Shortcuts: [H] hide/show controls, [Space] pause/resume');
+toast('Shortcuts: [H] hide/show controls, [Space] pause/resume, [, / .] step timeline');
@@ -0,0 +1,167 @@
+// capture.js — recording the WebGL canvas. WebM goes through MediaRecorder with a
+// captureStream(0) track, so a frame is only pushed when we say so; PNG sequences are
+// collected as numbered files and stored in a zip. Which sim time each frame shows is
+// decided by app.js (fixed steps per captured frame); this module only takes pictures.
+
+/** True when this browser can record WebM from a canvas. */
+export function canRecordWebM(canvas) {
+    return typeof MediaRecorder !== 'undefined' && typeof canvas?.captureStream === 'function'
+        && MediaRecorder.isTypeSupported('video/webm');
+}
+
+const WEBM_TYPES = ['video/webm;codecs=vp9', 'video/webm;codecs=vp8', 'video/webm'];
+
+// Limits of a zip without ZIP64 extensions
+export const ZIP_MAX_ENTRIES = 0xFFFF;
+export const ZIP_MAX_BYTES = 0xFFFFFFFF;
+
+export class CanvasRecorder {
+    /**
+     * @param {HTMLCanvasElement} canvas  the renderer's canvas (after composer.render, so bloom is in)
+     * @param {{ format?:'webm'|'png', fps?:number, maxFrames?:number, bitrate?:number, maxBytes?:number }} opts
+     *   maxFrames 0 records until the user stops; bitrate is for WebM only (bits/s). A PNG sequence
+     *   is held in memory until stop(), so it also ends once its frames take maxBytes.
+     */
+    constructor(canvas, { format = 'webm', fps = 30, maxFrames = 0, bitrate = 16e6, maxBytes = 1 << 30 } = {}) {
+        this.canvas = canvas;
+        this.format = format;
+        this.fps = fps;
+        this.maxFrames = maxFrames;
+        this.bitrate = bitrate;
+        this.maxBytes = maxBytes;
+        this.frames = 0;
+        this.bytes = 0;        // PNG mode: size of the frames encoded so far
+        this._png = [];        // PNG mode: Promise<Blob> per frame, in order
+        this._lastAt = -Infinity;
+    }
+
+    start() {
+        if (this.format === 'webm') {
+            const mimeType = WEBM_TYPES.find(t => MediaRecorder.isTypeSupported(t));
+            this._stream = this.canvas.captureStream(0);
+            this._track = this._stream.getVideoTracks()[0];
+            this._chunks = [];
+            this._media = new MediaRecorder(this._stream, { mimeType, videoBitsPerSecond: this.bitrate });
+            this._media.ondataavailable = e => { if (e.data.size) this._chunks.push(e.data); };
+            this._media.start();
+        }
+        this._lastAt = -Infinity;
+        this._startedAt = performance.now();
+    }
+
+    /** Why the recording has to end by itself: 'frames' (maxFrames), 'memory' or 'entries' (PNG zip), else null. */
+    get limit() {
+        if (this.maxFrames > 0 && this.frames >= this.maxFrames) return 'frames';
+        if (this.format !== 'png') return null;
+        if (this.bytes >= this.maxBytes) return 'memory';
+        return this.frames >= ZIP_MAX_ENTRIES ? 'entries' : null;
+    }
+
+    get full() { return this.limit !== null; }
+
+    /**
+     * Is the next frame due? MediaRecorder stamps WebM frames with the wall clock, so they are
+     * paced at the target fps there; a PNG sequence takes every frame the app renders.
+     */
+    due(now) {
+        if (this.full) return false;
+        return this.format !== 'webm' || now - this._lastAt >= 1000 / this.fps - 1;
+    }
+
+    /** Grab what was just rendered. Must run in the same task as the render. */
+    capture(now = performance.now()) {
+        if (this.full) return;
+        this._lastAt = now;
+        this.frames++;
+        if (this.format === 'webm') this._track.requestFrame();
+        else this._png.push(canvasBlob(this.canvas).then(b => { this.bytes += b.size; return b; }));
+    }
+
+    /**
+     * Finish and build the file. For WebM, `fps` is the rate frames actually arrived at: when
+     * rendering can't keep up, the video runs at that rate, not the requested one.
+     * @returns {Promise<{ blob:Blob, ext:string, frames:number, fps?:number }>}
+     */
+    async stop() {
+        if (this.format === 'webm') {
+            const done = new Promise(res => { this._media.onstop = res; });
+            this._media.stop();
+            await done;
+            this._track.stop();
+            const fps = this.frames * 1000 / Math.max(1, this._lastAt - this._startedAt + 1000 / this.fps);
+            return { blob: new Blob(this._chunks, { type: 'video/webm' }), ext: 'webm', frames: this.frames, fps };
+        }
+        const blobs = await Promise.all(this._png);
+        const digits = Math.max(5, String(blobs.length).length);
+        const files = await Promise.all(blobs.map(async (b, k) =>
+            ({ name: `frame-${String(k).padStart(digits, '0')}.png`, data: new Uint8Array(await b.arrayBuffer()) })));
+        return { blob: zipStore(files), ext: 'zip', frames: this.frames };
+    }
+}
+
+/** canvas.toBlob as a promise. The bitmap is copied at call time, so call it right after rendering. */
+export function canvasBlob(canvas, type = 'image/png') {
+    return new Promise((res, rej) => canvas.toBlob(b => b ? res(b) : rej(new Error('canvas is empty')), type));
+}
+
+// --- Minimal zip writer: stored (uncompressed) entries, which is all PNGs need ---
+
+const CRC_TABLE = (() => {
+    const t = new Uint32Array(256);
+    for (let n=0;n<256;n++) {
+        let c = n;
+        for (let k=0;k<8;k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+        t[n] = c >>> 0;
+    }
+    return t;
+})();
+
+export function crc32(bytes) {
+    let c = 0xFFFFFFFF;
+    for (let i=0;i<bytes.length;i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+}
+
+/**
+ * Zip archive of stored entries. No ZIP64: throws past ZIP_MAX_ENTRIES files or ZIP_MAX_BYTES of archive.
+ * @param {{ name:string, data:Uint8Array }[]} files
+ * @param {Date} [date] modification time written for every entry
+ * @returns {Blob} application/zip
+ */
+export function zipStore(files, date = new Date()) {
+    const enc = new TextEncoder();
+    const time = (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1);
+    const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+    if (files.length > ZIP_MAX_ENTRIES) throw new Error(`a zip holds at most ${ZIP_MAX_ENTRIES} files (got ${files.length})`);
+    const parts = [], central = [];
+    let offset = 0, dirSize = 0;
+    for (const f of files) {
+        const name = enc.encode(f.name), size = f.data.length;
+        dirSize += 46 + name.length;
+        if (offset + 30 + name.length + size + dirSize + 22 > ZIP_MAX_BYTES) throw new Error('zip would exceed 4 GB');
+        const crc = crc32(f.data);
+        const local = new DataView(new ArrayBuffer(30));
+        local.setUint32(0, 0x04034b50, true);
+        local.setUint16(4, 20, true);            // version needed
+        local.setUint16(8, 0, true);             // method: stored
+        local.setUint16(10, time, true); local.setUint16(12, day, true);
+        local.setUint32(14, crc, true); local.setUint32(18, size, true); local.setUint32(22, size, true);
+        local.setUint16(26, name.length, true);
+        parts.push(local, name, f.data);
+
+        const dir = new DataView(new ArrayBuffer(46));
+        dir.setUint32(0, 0x02014b50, true);
+        dir.setUint16(4, 20, true); dir.setUint16(6, 20, true);
+        dir.setUint16(12, time, true); dir.setUint16(14, day, true);
+        dir.setUint32(16, crc, true); dir.setUint32(20, size, true); dir.setUint32(24, size, true);
+        dir.setUint16(28, name.length, true);
+        dir.setUint32(42, offset, true);
+        central.push(dir, name);
+        offset += 30 + name.length + size;
+    }
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true);
+    end.setUint16(8, files.length, true); end.setUint16(10, files.length, true);
+    end.setUint32(12, dirSize, true); end.setUint32(16, offset, true);
+    return new Blob([...parts, ...central, end], { type: 'application/zip' });
+}
@@ -0,0 +1,196 @@
+#!/usr/bin/env node
+// cli.js — headless batch runner: same integrators, presets, scenario files and
+// collision/escape rules as the browser app, no DOM.
+//
+//   node cli.js run --preset figure8 --days 1e4 --integrator yoshida4 --out traj.csv
+//   node cli.js run --scenario my.json --days 365 --collision merge --json
+//   node cli.js list
+import { readFileSync, writeFileSync } from 'node:fs';
+import { parseArgs } from 'node:util';
+import { INTEGRATORS, createIntegrator } from './physics.js';
+import { EventMonitor, COLLISION_DEFAULTS, ESCAPE_DEFAULTS, resolveCollision } from './events.js';
+import { parseScenario, withBodyDefaults } from './scenario.js';
+import { PRESETS } from './presets.js';
+import { TrajectoryLog } from './trajectory.js';
+
+const USAGE = `Usage:
+  node cli.js run [options]      integrate a preset or scenario file and print a summary
+  node cli.js list               list presets and integrators
+
+run options:
+  --preset <key>          built-in preset (default: tristar-planet)
+  --scenario <file>       scenario JSON (any version the app imports) instead of a preset
+  --days <d>              sim time to cover in days (default: 365)
+  --dt <d>                fixed step in days (default: scenario fixedDt or 0.01)
+  --integrator <key>      ${Object.keys(INTEGRATORS).join(' | ')} (default: scenario's or rk4)
+  --softening <AU>        Plummer softening (default: scenario's or 1e-6)
+  --collision <outcome>   pause | merge | bounce | log; pause stops the run (default: scenario's or pause)
+  --no-escape-stop        log escapes and keep going instead of stopping
+  --out <file>            write the trajectory; format from the extension: .csv, .jsonl or .bin
+  --cadence <d>           days between trajectory samples, 0 = every step (default: 1)
+  --every <k>             keep every k-th sample in the file (default: 1)
+  --json                  print the summary as one JSON line
+  --quiet                 no progress or event lines on stderr`;
+
+function fail(msg) {
+    console.error(`${msg}\n\n${USAGE}`);
+    process.exit(1);
+}
+
+function num(opts, key, fallback) {
+    if (opts[key] === undefined) return fallback;
+    const x = Number(opts[key]);
+    if (!Number.isFinite(x)) fail(`--${key} must be a number (got "${opts[key]}")`);
+    return x;
+}
+
+function loadSetup(opts) {
+    if (opts.scenario) {
+        let text;
+        try { text = readFileSync(opts.scenario, 'utf8'); }
+        catch (e) { fail(`cannot read ${opts.scenario}: ${e.message}`); }
+        try {
+            const sc = parseScenario(text);
+            return { params: sc.params, name: sc.name ?? opts.scenario };
+        } catch (e) { fail(`${opts.scenario}: ${e.message}`); }
+    }
+    const key = opts.preset ?? 'tristar-planet';
+    const p = PRESETS[key];
+    if (!p) fail(`unknown preset "${key}" (one of ${Object.keys(PRESETS).join(', ')})`);
+    const params = {
+        masses: p.masses.slice(), pos: p.pos.map(r => r.slice()), vel: p.vel.map(v => v.slice()),
+        names: p.names?.slice(), types: p.types?.slice(),
+    };
+    return { params: withBodyDefaults(params), name: key };
+}
+
+/**
+ * Integrate `days` in fixed steps of dt with events after every step, like the app's
+ * fixed clock: sim time stays on the k·dt grid, collision outcomes as configured.
+ */
+function simulate({ engine, days, dt, collision, escape, escapeStop, names, trajectory, quiet }) {
+    const monitor = new EventMonitor({ collision, escape });
+    const ids = Array.from({ length: engine.n }, (_, i) => i + 1);
+    const label = k => `${ids[k]} (${names[ids[k] - 1]})`;
+    const events = [];
+    const t0 = engine.t, steps = Math.ceil(days / dt - 1e-9);
+    let stop = null, done = 0, lastReport = Date.now();
+
+    trajectory?.sample(engine, ids, true);
+    for (let k = 1; k <= steps && !stop; k++) {
+        const target = Math.min(t0 + k * dt, t0 + days);
+        let left = target - engine.t;
+        for (let guard = 0; left > 0 && !stop && guard < 16; guard++) {
+            const res = monitor.step(engine, left);
+            left -= res.advanced;
+            for (const ev of res.events) {
+                const rec = { type: ev.type, t: ev.t };
+                if (ev.type === 'escape') {
+                    Object.assign(rec, { bodies: [ids[ev.index]], v: ev.v, vEsc: ev.vEsc, rCM: ev.rCM });
+                    if (!quiet) console.error(`[t=${ev.t.toFixed(4)} d] escape: body ${label(ev.index)}`);
+                    if (escapeStop) stop = `escape of body ${label(ev.index)}`;
+                } else {
+                    Object.assign(rec, { bodies: [ids[ev.i], ids[ev.j]], sep: ev.sep, vRel: ev.vRel });
+                    if (ev.type === 'collision') {
+                        rec.outcome = collision.outcome;
+                        if (!quiet) console.error(`[t=${ev.t.toFixed(4)} d] collision (${collision.outcome}): bodies ${label(ev.i)} ↔ ${label(ev.j)}`);
+                        if (collision.outcome === 'pause') stop = `collision of bodies ${label(ev.i)} and ${label(ev.j)}`;
+                        else resolveCollision(engine, monitor, ev, collision, ids);
+                    }
+                }
+                events.push(rec);
+                trajectory?.addEvent(rec);
+            }
+            trajectory?.sample(engine, ids, res.events.length > 0);
+        }
+        if (!stop) engine.t = target;   // keep the grid exact (no running float sum)
+        done = k;
+        if (!quiet && Date.now() - lastReport > 2000) {
+            lastReport = Date.now();
+            console.error(`… t=${engine.t.toFixed(2)} d (${(100 * (engine.t - t0) / days).toFixed(1)}%)`);
+        }
+    }
+    return { events, stop, steps: done, ids };
+}
+
+function run(opts) {
+    const { params, name } = loadSetup(opts);
+    const integrator = opts.integrator ?? params.integrator ?? 'rk4';
+    if (!INTEGRATORS[integrator]) fail(`unknown integrator "${integrator}" (one of ${Object.keys(INTEGRATORS).join(', ')})`);
+    const days = num(opts, 'days', 365);
+    const dt = num(opts, 'dt', params.fixedDt ?? 0.01);
+    const softening = num(opts, 'softening', params.softening ?? 1e-6);
+    if (!(days > 0) || !(dt > 0) || !(softening >= 0)) fail('--days and --dt must be > 0, --softening ≥ 0');
+    const outcome = opts.collision ?? params.collisionOutcome ?? 'pause';
+    if (!['pause', 'merge', 'bounce', 'log'].includes(outcome)) fail(`--collision must be pause, merge, bounce or log`);
+    const cadence = num(opts, 'cadence', 1), every = num(opts, 'every', 1);
+    const format = opts.out ? (opts.out.match(/\.(csv|jsonl|bin)$/i)?.[1].toLowerCase() ?? fail('--out must end in .csv, .jsonl or .bin')) : null;
+
+    const engine = createIntegrator(integrator, params.masses, params.pos, params.vel, softening);
+    const E0 = engine.energy(), n0 = engine.n;
+    const trajectory = format ? new TrajectoryLog({ ids: params.masses.map((_, i) => i + 1), names: params.names, cadence }) : null;
+
+    const wall0 = performance.now();
+    const { events, stop, steps, ids } = simulate({
+        engine, days, dt, trajectory, quiet: opts.quiet || opts.json,
+        collision: { ...COLLISION_DEFAULTS, outcome },
+        escape: { ...ESCAPE_DEFAULTS },
+        escapeStop: !opts['no-escape-stop'],
+        names: params.names,
+    });
+    const wall = (performance.now() - wall0) / 1000;
+    const E = engine.energy();
+
+    if (format) {
+        const data = format === 'bin' ? Buffer.from(trajectory.toBinary(every))
+                   : format === 'jsonl' ? trajectory.toJSONL(every) : trajectory.toCSV(every);
+        writeFileSync(opts.out, data);
+    }
+
+    const count = type => events.filter(e => e.type === type).length;
+    const summary = {
+        scenario: name, integrator, dt, softening: INTEGRATORS[integrator].regularized ? 0 : softening,
+        collisionOutcome: outcome, bodies: { initial: n0, final: engine.n, ids },
+        tEnd: engine.t, steps, wallSeconds: +wall.toFixed(3),
+        energy: { E0, E, relErr: (E - E0) / Math.abs(E0) },
+        events: { collisions: count('collision'), approaches: count('approach'), escapes: count('escape'), list: events },
+        stoppedBy: stop ?? 'end time',
+        ...(opts.out ? { out: opts.out, samples: trajectory.length } : {}),
+    };
+    if (opts.json) { console.log(JSON.stringify(summary)); return; }
+    console.log([
+        `scenario     ${name} (${n0} bodies${engine.n !== n0 ? ` → ${engine.n}` : ''})`,
+        `integrator   ${INTEGRATORS[integrator].label}, dt=${dt} d, softening=${summary.softening} AU`,
+        `sim time     ${engine.t.toFixed(4)} d (${(engine.t / 365.25).toFixed(3)} yr) in ${steps} steps, ${wall.toFixed(2)} s wall`,
+        `energy       E0=${E0.toExponential(6)}  E=${E.toExponential(6)}  ΔE/E0=${summary.energy.relErr.toExponential(3)}`,
+        `events       ${summary.events.collisions} collisions (${outcome}), ${summary.events.approaches} close approaches, ${summary.events.escapes} escapes`,
+        `stopped by   ${summary.stoppedBy}`,
+        ...(opts.out ? [`trajectory   ${trajectory.length} samples → ${opts.out}`] : []),
+    ].join('\n'));
+}
+
+function list() {
+    console.log('presets:');
+    for (const [key, p] of Object.entries(PRESETS)) console.log(`  ${key.padEnd(20)} ${p.masses.length} bodies`);
+    console.log('integrators:');
+    for (const [key, I] of Object.entries(INTEGRATORS)) console.log(`  ${key.padEnd(20)} ${I.label}`);
+}
+
+const [command, ...rest] = process.argv.slice(2);
+let opts;
+try {
+    ({ values: opts } = parseArgs({
+        args: rest,
+        options: {
+            preset: { type: 'string' }, scenario: { type: 'string' }, days: { type: 'string' }, dt: { type: 'string' },
+            integrator: { type: 'string' }, softening: { type: 'string' }, collision: { type: 'string' },
+            'no-escape-stop': { type: 'boolean' }, out: { type: 'string' }, cadence: { type: 'string' },
+            every: { type: 'string' }, json: { type: 'boolean' }, quiet: { type: 'boolean' },
+        },
+    }));
+} catch (e) { fail(e.message); }
+
+if (command === 'run') run(opts);
+else if (command === 'list') list();
+else if (command === undefined || command === 'help' || command === '--help') console.log(USAGE);
+else fail(`unknown command "${command}"`);
@@ -0,0 +1,66 @@
+// diagnostics.js — conservation checks: how far energy, momentum, angular momentum and the
+// centre of mass have drifted from a baseline, with a short history for the HUD charts. DOM-free.
+
+const norm = v => Math.hypot(v[0], v[1], v[2]);
+
+/** Everything the drift is measured against, taken from the engine's current state. */
+export function conservedBaseline(engine) {
+    const n = engine.n, s = engine.state, m = engine.m, N3 = 3*n;
+    // Scales for the relative errors: total P and L are often ~0 (CM frame, counter-rotating
+    // orbits), so compare with the sum of the bodies' individual magnitudes instead
+    let pScale = 0, lScale = 0;
+    for (let i=0;i<n;i++) {
+        const r = [s[3*i], s[3*i+1], s[3*i+2]], v = [s[N3+3*i], s[N3+3*i+1], s[N3+3*i+2]];
+        pScale += m[i] * norm(v);
+        lScale += m[i] * norm([r[1]*v[2] - r[2]*v[1], r[2]*v[0] - r[0]*v[2], r[0]*v[1] - r[1]*v[0]]);
+    }
+    return { t: engine.t, E: engine.energy(), P: engine.momentum(), L: engine.angularMomentum(),
+             com: engine.centreOfMass(), pScale: pScale || 1, lScale: lScale || 1 };
+}
+
+/**
+ * Drift of the engine's current state from a baseline:
+ *   dE   (E − E₀)/|E₀|
+ *   dP   |P − P₀| relative to Σ m|v|
+ *   dL   |L − L₀| relative to Σ m|r × v|
+ *   dCM  distance (AU) of the centre of mass from where uniform motion would have taken it
+ */
+export function conservationDrift(engine, base) {
+    const P = engine.momentum(), L = engine.angularMomentum(), com = engine.centreOfMass();
+    const dt = engine.t - base.t, c0 = base.com;
+    return {
+        t: engine.t,
+        dE: (engine.energy() - base.E) / Math.abs(base.E),
+        dP: norm(P.map((x, c) => x - base.P[c])) / base.pScale,
+        dL: norm(L.map((x, c) => x - base.L[c])) / base.lScale,
+        dCM: norm(com.pos.map((x, c) => x - c0.pos[c] - c0.vel[c] * dt)),
+    };
+}
+
+// Series shown by the charts: log ones plot log10 |value|, the rest autoscale linearly
+export const DRIFT_SERIES = {
+    dE:  { label: 'ΔE/E₀',         log: true },
+    dP:  { label: '|ΔP| (rel.)',   log: false },
+    dL:  { label: '|ΔL| (rel.)',   log: false },
+    dCM: { label: 'CM drift (AU)', log: false },
+};
+
+/** Rolling history of conservationDrift samples (oldest dropped past `capacity`). */
+export class DriftHistory {
+    constructor(capacity = 600) {
+        this.capacity = capacity;
+        this.samples = [];
+    }
+
+    clear() { this.samples.length = 0; }
+
+    push(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > this.capacity) this.samples.shift();
+    }
+
+    /** Forget samples after sim time t (branching rewrites the future). */
+    truncateAfter(t) {
+        while (this.samples.length && this.samples[this.samples.length - 1].t > t) this.samples.pop();
+    }
+}
@@ -0,0 +1,234 @@
+// events.js — per-step event detection (collisions, close approaches, escapes) with
+// bisection back to the crossing time. No DOM: shared by the app and anything headless.
+import { G, collisionRadii, escapeStatus } from './physics.js';
+
+// Default detection/outcome settings shared by the app and the CLI
+export const COLLISION_DEFAULTS = {
+    enabled: true,
+    mode: 'core',   // 'core' | 'vdt'
+    fudge: 1.2,     // >1 gives safety margin against timestep skipping
+    outcome: 'pause',   // 'pause' | 'merge' | 'bounce' | 'log'
+    restitution: 0.5,   // bounce only: 1 = elastic, 0 = fully inelastic
+    nearMiss: 3         // also log closest approaches within this × contact distance (0 = off)
+};
+
+export const ESCAPE_DEFAULTS = {
+    enabled: true,
+    maxSepAU: 5.0,     // consider escape only beyond this CM distance
+    fudge: 1.1,        // safety margin (>= 1.0)
+    consecutive: 32    // require N consecutive integrator steps to declare escape
+};
+
+// Separation, relative speed and r·v for pair (i, j) in the engine's current state
+export function pairState(engine, i, j) {
+    const s = engine.state, N3 = 3 * engine.n;
+    const dx = s[3*i] - s[3*j], dy = s[3*i+1] - s[3*j+1], dz = s[3*i+2] - s[3*j+2];
+    const dvx = s[N3+3*i] - s[N3+3*j], dvy = s[N3+3*i+1] - s[N3+3*j+1], dvz = s[N3+3*i+2] - s[N3+3*j+2];
+    return {
+        sep: Math.hypot(dx, dy, dz),
+        vRel: Math.hypot(dvx, dvy, dvz),
+        rdot: dx*dvx + dy*dvy + dz*dvz,   // < 0 approaching, > 0 receding
+        // two-body periapsis of the relative orbit: where the pair would pass closest
+        periapsis: twoBodyPeriapsis(engine.m[i] + engine.m[j], [dx, dy, dz], [dvx, dvy, dvz]),
+    };
+}
+
+function twoBodyPeriapsis(M, r, v) {
+    const mu = G * M;
+    const hx = r[1]*v[2] - r[2]*v[1], hy = r[2]*v[0] - r[0]*v[2], hz = r[0]*v[1] - r[1]*v[0];
+    const h2 = hx*hx + hy*hy + hz*hz;
+    const rr = Math.hypot(r[0], r[1], r[2]), v2 = v[0]*v[0] + v[1]*v[1] + v[2]*v[2];
+    const rv = r[0]*v[0] + r[1]*v[1] + r[2]*v[2];
+    const ex = ((v2 - mu/rr)*r[0] - rv*v[0]) / mu;
+    const ey = ((v2 - mu/rr)*r[1] - rv*v[1]) / mu;
+    const ez = ((v2 - mu/rr)*r[2] - rv*v[2]) / mu;
+    const e = Math.hypot(ex, ey, ez);
+    return h2 / (mu * (1 + e));
+}
+
+/**
+ * Bisect for the first time in (0, dt] at which isActive() holds, given that it
+ * is false at `before` and true one step of dt later. Each trial re-steps from
+ * `before` with a single step of the trial size. Leaves the engine at the located
+ * time (just past the crossing) and returns that offset.
+ */
+export function locateEvent(engine, before, dt, isActive, maxIter = 60) {
+    let lo = 0, hi = dt;
+    const tol = Math.abs(dt) * 1e-12;
+    for (let it = 0; it < maxIter && hi - lo > tol; it++) {
+        const mid = 0.5 * (lo + hi);
+        engine.restore(before); engine.step(mid);
+        if (isActive()) hi = mid; else lo = mid;
+    }
+    engine.restore(before); engine.step(hi);
+    return hi;
+}
+
+/**
+ * Wraps engine.step(dt) with event detection after every integrator step.
+ *
+ *  collision: { enabled, mode, fudge, nearMiss }  (detectCollision's radius model;
+ *             nearMiss > 0 also reports close approaches under nearMiss × contact distance)
+ *  escape:    { enabled, maxSepAU, fudge, consecutive }  (detectEscape's test, debounced
+ *             over `consecutive` integrator steps)
+ *
+ * Events: { type:'collision', i, j, t, sep, minSep, vRel, periapsis, pos, vel }
+ *         { type:'approach',  i, j, t, sep, minSep, vRel }
+ *         { type:'escape',    index, t, v, vEsc, rCM, Mother, tDeclared }
+ * Body indices refer to the engine at the time of the event.
+ */
+export class EventMonitor {
+    constructor({ collision, escape }) {
+        this.collision = collision;
+        this.escape = escape;
+        this.reset(0);
+    }
+
+    reset(n) {
+        this.counters = new Array(n).fill(0);   // escape debounce per body
+        this.onsets = new Array(n).fill(null);  // located start of the current escape candidacy
+        this.escaped = new Array(n).fill(false);
+    }
+
+    // Keep per-body bookkeeping aligned after the engine drops body j (merger)
+    removeBody(j) {
+        this.counters.splice(j, 1);
+        this.onsets.splice(j, 1);
+        this.escaped.splice(j, 1);
+    }
+
+    _collisionOpts(dt) {
+        const C = this.collision;
+        return C.mode === 'vdt' ? { mode:'vdt', fudge: C.fudge, dt } : { mode:'core', fudge: C.fudge };
+    }
+
+    /**
+     * Advance the engine by up to dt. Stops early at a new collision contact (pairs
+     * already touching when the step starts don't count), leaving the engine at the
+     * contact time so the caller can apply an outcome and continue with the rest.
+     * @returns {{ advanced:number, events:object[] }}
+     */
+    step(engine, dt) {
+        if (this.counters.length !== engine.n) this.reset(engine.n);
+        const before = this._before = engine.snapshot(this._before);
+        engine.step(dt);
+        let advanced = dt;
+        const events = [];
+        if (this.collision?.enabled) advanced = this._collisions(engine, before, dt, events);
+        if (this.escape?.enabled) this._escapes(engine, before, advanced, events);
+        // a collision outcome may renumber bodies (merge), so hand it over last
+        events.sort((a, b) => (a.type === 'collision') - (b.type === 'collision'));
+        return { advanced, events };
+    }
+
+    _collisions(engine, before, dt, events) {
+        const n = engine.n, opts = this._collisionOpts(dt);
+        const nearMiss = this.collision.nearMiss > 0 ? this.collision.nearMiss : 0;
+        const after = this._after = engine.snapshot(this._after);
+        const r1 = collisionRadii(engine, engine.m, opts);
+        engine.restore(before);
+        const r0 = collisionRadii(engine, engine.m, opts);
+        const pre = [];
+        for (let i=0;i<n;i++) for (let j=i+1;j<n;j++) pre.push(pairState(engine, i, j));
+        engine.restore(after);
+
+        const touching = (i, j, r) => pairState(engine, i, j).sep < r[i] + r[j];
+        const fresh = [];       // pairs not in contact at the start of the step
+        let tContact = Infinity;
+
+        for (let i=0, p=0;i<n;i++) for (let j=i+1;j<n;j++, p++) {
+            const a = pre[p], minSep0 = r0[i] + r0[j];
+            if (a.sep < minSep0) continue;
+            fresh.push([i, j]);
+            if (touching(i, j, r1)) { tContact = Math.min(tContact, dt); continue; }
+
+            // periapsis inside the step? (r·v turns from approaching to receding)
+            if (!(a.rdot < 0 && pairState(engine, i, j).rdot >= 0)) continue;
+            const limit = Math.max(nearMiss, 1) * minSep0;
+            // straight-line closest approach is a cheap upper bound on how close they got
+            const bLin = Math.sqrt(Math.max(0, a.sep*a.sep - (a.rdot / a.vRel) ** 2));
+            if (bLin > 2 * limit) continue;
+
+            const tca = locateEvent(engine, before, dt, () => pairState(engine, i, j).rdot >= 0);
+            const ca = pairState(engine, i, j);
+            const rc = collisionRadii(engine, engine.m, opts);
+            if (ca.sep < rc[i] + rc[j]) tContact = Math.min(tContact, tca);   // tunnelled through
+            else if (ca.sep < nearMiss * (rc[i] + rc[j]))
+                events.push({ type:'approach', i, j, t: engine.t, sep: ca.sep, minSep: rc[i] + rc[j], vRel: ca.vRel });
+            engine.restore(after);
+        }
+
+        if (!Number.isFinite(tContact)) return dt;
+
+        // first contact among the pairs that weren't touching at the start
+        const hit = () => {
+            const r = collisionRadii(engine, engine.m, opts);
+            return fresh.find(([i, j]) => touching(i, j, r));
+        };
+        const tau = locateEvent(engine, before, tContact, () => !!hit());
+        const [i, j] = hit() ?? fresh[0];
+        const r = collisionRadii(engine, engine.m, opts);
+        const ps = pairState(engine, i, j);
+        const P = engine.getPositions(), V = engine.getVelocities();
+        // approaches located after the contact never happened on this branch
+        for (let k = events.length - 1; k >= 0; k--) if (events[k].t > engine.t) events.splice(k, 1);
+        events.push({
+            type:'collision', i, j, t: engine.t, sep: ps.sep, minSep: r[i] + r[j], vRel: ps.vRel,
+            periapsis: ps.periapsis, pos: [P[i], P[j]], vel: [V[i], V[j]]
+        });
+        return tau;
+    }
+
+    _escapes(engine, before, dt, events) {
+        const E = this.escape, n = engine.n, masses = engine.m;
+        const check = k => escapeStatus({ engine, masses, index: k, maxSepAU: E.maxSepAU, fudge: E.fudge });
+        const now = Array.from({ length: n }, (_, k) => check(k));
+        const after = this._after = engine.snapshot(this._after);
+
+        for (let k = 0; k < n; k++) {
+            // decay every counter by 1 (don’t let stale positives linger)
+            this.counters[k] = Math.max(0, this.counters[k] - 1);
+            if (!now[k]) { if (this.counters[k] === 0) this.onsets[k] = null; continue; }
+
+            if (!this.onsets[k]) {
+                // new candidate: locate when inside this step the escape condition started to hold
+                engine.restore(before);
+                if (check(k)) this.onsets[k] = { ...check(k), t: engine.t };
+                else {
+                    locateEvent(engine, before, dt, () => !!check(k));
+                    this.onsets[k] = { ...(check(k) ?? now[k]), t: engine.t };
+                }
+                engine.restore(after);
+            }
+
+            // reinforce the candidate body
+            this.counters[k] = Math.min(E.consecutive, this.counters[k] + 2);
+            if (this.counters[k] >= E.consecutive && !this.escaped[k]) {
+                this.escaped[k] = true;
+                events.push({ type:'escape', ...this.onsets[k], index: k, tDeclared: engine.t });
+            }
+        }
+    }
+}
+
+/**
+ * Physical side of a collision outcome, for a 'collision' event with the engine at contact.
+ * 'merge' folds j into i (and drops j from the monitor and `ids`, if given), 'bounce' reflects
+ * the pair just past contact; 'pause' and 'log' leave the state alone.
+ * @returns {object|null} mergeBodies / bounceBodies result, null otherwise
+ */
+export function resolveCollision(engine, monitor, hit, { outcome, restitution }, ids = null) {
+    switch (outcome) {
+    case 'merge': {
+        const res = engine.mergeBodies(hit.i, hit.j);
+        monitor.removeBody(hit.j);
+        ids?.splice(hit.j, 1);
+        return res;
+    }
+    case 'bounce':
+        // push slightly past contact so the pair starts the next step apart
+        return engine.bounceBodies(hit.i, hit.j, restitution, hit.minSep * 1.001);
+    default:
+        return null;
+    }
+}
@@ -0,0 +1,75 @@
+// habitability.js — what the planet experiences: total insolation from every star (S⊕),
+// equilibrium temperature, and a history split into Stable / Chaotic eras by whether the
+// flux stays inside a habitable band. DOM-free; indices are engine indices.
+import { luminosityLsun } from './physics.js';
+
+// Conservative habitable zone for a Sun-like star (Kopparapu et al. 2013), in S⊕
+export const HABITABLE_BAND = { min: 0.36, max: 1.11 };
+
+const T_EQ_EARTH_K = 278.6;   // equilibrium temperature at 1 S⊕ with zero albedo
+
+/**
+ * Flux on body p: Σ L_s / d² over the stars (L☉ at 1 AU = 1 S⊕), plus its equilibrium
+ * temperature for Bond albedo A with heat redistributed over the whole surface.
+ * @returns {{ flux:number, tEq:number, perStar:number[] }} perStar[s] = that star's share (S⊕)
+ */
+export function insolation(engine, isStar, p, albedo = 0.3) {
+    const n = engine.n, s = engine.state, m = engine.m;
+    const perStar = new Array(n).fill(0);
+    let flux = 0;
+    for (let j=0;j<n;j++) if (j !== p && isStar[j]) {
+        const d2 = (s[3*p] - s[3*j]) ** 2 + (s[3*p+1] - s[3*j+1]) ** 2 + (s[3*p+2] - s[3*j+2]) ** 2;
+        perStar[j] = luminosityLsun(m[j]) / d2;
+        flux += perStar[j];
+    }
+    return { flux, tEq: T_EQ_EARTH_K * Math.pow((1 - albedo) * flux, 0.25), perStar };
+}
+
+/**
+ * Rolling flux history with era bookkeeping. An era only changes once the flux has stayed on
+ * the other side of the band for `minEraDays`; the new era is dated from when it crossed.
+ */
+export class HabitabilityHistory {
+    constructor({ capacity = 2000, band = { ...HABITABLE_BAND }, minEraDays = 10 } = {}) {
+        this.capacity = capacity;
+        this.band = band;
+        this.minEraDays = minEraDays;
+        this.clear();
+    }
+
+    clear() {
+        this.samples = [];    // { t, flux, tEq }
+        this.eras = [];       // { kind:'stable'|'chaotic', start, end }
+        this.pending = null;  // { kind, start } crossing not yet confirmed
+    }
+
+    classify(flux) { return flux >= this.band.min && flux <= this.band.max ? 'stable' : 'chaotic'; }
+
+    get era() { return this.eras[this.eras.length - 1] ?? null; }
+
+    push(sample) {
+        this.samples.push(sample);
+        if (this.samples.length > this.capacity) this.samples.shift();
+        const kind = this.classify(sample.flux), cur = this.era;
+        if (!cur) this.eras.push({ kind, start: sample.t, end: sample.t });
+        else if (kind === cur.kind) { this.pending = null; cur.end = sample.t; }
+        else {
+            this.pending ??= { kind, start: sample.t };
+            if (sample.t - this.pending.start >= this.minEraDays) {
+                cur.end = this.pending.start;
+                this.eras.push({ kind, start: this.pending.start, end: sample.t });
+                this.pending = null;
+            }
+        }
+        // eras that have scrolled out of the sample window are dropped
+        while (this.eras.length > 1 && this.eras[0].end < this.samples[0].t) this.eras.shift();
+    }
+
+    /** Forget everything after sim time t (branching rewrites the future). */
+    truncateAfter(t) {
+        while (this.samples.length && this.samples[this.samples.length - 1].t > t) this.samples.pop();
+        while (this.eras.length && this.eras[this.eras.length - 1].start > t) this.eras.pop();
+        if (this.era) this.era.end = Math.min(this.era.end, t);
+        this.pending = null;
+    }
+}
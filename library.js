@@ -0,0 +1,111 @@
+// library.js — user-defined presets (scenario documents) persisted in localStorage,
+// with whole-library export/import. Entries: { id, name, scenario, created, updated }.
+// Every function takes an optional Storage (defaults to localStorage).
+import { parseScenario } from './scenario.js';
+
+const STORAGE_KEY = 'nbody.userPresets';
+export const LIBRARY_FORMAT = 'nbody-preset-library';
+export const LIBRARY_VERSION = '1.0';
+
+const newId = () => `u${Date.now().toString(36)}${Math.random().toString(36).slice(2, 7)}`;
+
+export function loadLibrary(storage = globalThis.localStorage) {
+    try {
+        const raw = storage?.getItem(STORAGE_KEY);
+        const lib = raw ? JSON.parse(raw) : null;
+        return Array.isArray(lib?.presets) ? lib.presets.filter(isEntry).map(normalizeEntry) : [];
+    } catch (e) {
+        console.warn('[library] unreadable, starting empty:', e);
+        return [];
+    }
+}
+
+// Hand-edited or damaged storage: drop what isn't a preset, fill in missing timestamps
+const isEntry = p => typeof p?.id === 'string' && typeof p.name === 'string'
+    && typeof p.scenario === 'object' && p.scenario !== null;
+
+function normalizeEntry(p) {
+    const stamp = x => typeof x === 'string' ? x : '';
+    return { ...p, created: stamp(p.created), updated: stamp(p.updated) || stamp(p.created) };
+}
+
+function saveLibrary(presets, storage = globalThis.localStorage) {
+    storage?.setItem(STORAGE_KEY, JSON.stringify({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, presets }));
+    return presets;
+}
+
+// Unique display name: "Foo", "Foo (2)", "Foo (3)", …
+function uniqueName(presets, name, exceptId) {
+    const taken = new Set(presets.filter(p => p.id !== exceptId).map(p => p.name));
+    if (!taken.has(name)) return name;
+    let k = 2;
+    while (taken.has(`${name} (${k})`)) k++;
+    return `${name} (${k})`;
+}
+
+export function addPreset(name, scenario, storage = globalThis.localStorage) {
+    const presets = loadLibrary(storage);
+    const now = new Date().toISOString();
+    const entry = { id: newId(), name: uniqueName(presets, name.trim() || 'Untitled'), scenario, created: now, updated: now };
+    entry.scenario = { ...scenario, name: entry.name };
+    saveLibrary([...presets, entry], storage);
+    return entry;
+}
+
+export function renamePreset(id, name, storage = globalThis.localStorage) {
+    const presets = loadLibrary(storage);
+    const p = presets.find(x => x.id === id);
+    if (!p) return null;
+    p.name = uniqueName(presets, name.trim() || p.name, id);
+    p.scenario = { ...p.scenario, name: p.name };
+    p.updated = new Date().toISOString();
+    saveLibrary(presets, storage);
+    return p;
+}
+
+export function duplicatePreset(id, storage = globalThis.localStorage) {
+    const p = loadLibrary(storage).find(x => x.id === id);
+    return p ? addPreset(`${p.name} copy`, structuredClone(p.scenario), storage) : null;
+}
+
+export function deletePreset(id, storage = globalThis.localStorage) {
+    const presets = loadLibrary(storage);
+    const next = presets.filter(x => x.id !== id);
+    saveLibrary(next, storage);
+    return next.length !== presets.length;
+}
+
+export function getPreset(id, storage = globalThis.localStorage) {
+    return loadLibrary(storage).find(x => x.id === id) ?? null;
+}
+
+export function exportLibrary(storage = globalThis.localStorage) {
+    return JSON.stringify({ format: LIBRARY_FORMAT, version: LIBRARY_VERSION, presets: loadLibrary(storage) }, null, 2);
+}
+
+/**
+ * Merge an exported library file into the local one. Every scenario is validated
+ * with parseScenario; invalid entries are skipped and reported, name clashes get a suffix.
+ * @returns {{ added:number, skipped:string[] }}
+ */
+export function importLibrary(text, storage = globalThis.localStorage) {
+    let lib;
+    try { lib = JSON.parse(text); }
+    catch (e) { throw new Error(`Not valid JSON: ${e.message}`); }
+    if (lib?.format !== LIBRARY_FORMAT || !Array.isArray(lib.presets))
+        throw new Error(`Not a preset library (expected "format": "${LIBRARY_FORMAT}" with a "presets" array)`);
+
+    const skipped = [];
+    let added = 0;
+    lib.presets.forEach((p, k) => {
+        const label = typeof p?.name === 'string' ? p.name : `#${k + 1}`;
+        try {
+            parseScenario(JSON.stringify(p?.scenario));
+            addPreset(label, p.scenario, storage);
+            added++;
+        } catch (e) {
+            skipped.push(`${label}: ${e.message}`);
+        }
+    });
+    return { added, skipped };
+}
@@ -0,0 +1,125 @@
+// orbits.js — Keplerian elements <-> relative state vectors (two-body, AU / day / M☉).
+// Angles are radians here; the UI converts to/from degrees. No DOM.
+import { G } from './physics.js';
+
+const TAU = 2 * Math.PI;
+const E_CIRC = 1e-10;   // below this e, ω is undefined (use argument of latitude)
+const I_EQUAT = 1e-10;  // below this |n|/|h|, Ω is undefined (use longitude of periapsis)
+
+const dot = (a, b) => a[0]*b[0] + a[1]*b[1] + a[2]*b[2];
+const cross = (a, b) => [a[1]*b[2] - a[2]*b[1], a[2]*b[0] - a[0]*b[2], a[0]*b[1] - a[1]*b[0]];
+const norm = a => Math.hypot(a[0], a[1], a[2]);
+const wrap = x => ((x % TAU) + TAU) % TAU;
+
+// Gravitational parameter of a pair
+export const muOf = (m1, m2) => G * (m1 + m2);
+
+// Solve Kepler's equation for the true anomaly (elliptic M = E − e sin E, hyperbolic M = e sinh F − F)
+export function meanToTrue(M, e) {
+    if (e < 1) {
+        const Mw = wrap(M);
+        let E = e < 0.8 ? Mw : Math.PI;
+        for (let k = 0; k < 50; k++) {
+            const dE = (E - e*Math.sin(E) - Mw) / (1 - e*Math.cos(E));
+            E -= dE;
+            if (Math.abs(dE) < 1e-15) break;
+        }
+        return 2 * Math.atan2(Math.sqrt(1+e) * Math.sin(E/2), Math.sqrt(1-e) * Math.cos(E/2));
+    }
+    let F = Math.asinh(M / e);
+    for (let k = 0; k < 50; k++) {
+        const dF = (e*Math.sinh(F) - F - M) / (e*Math.cosh(F) - 1);
+        F -= dF;
+        if (Math.abs(dF) < 1e-15) break;
+    }
+    return 2 * Math.atan(Math.sqrt((e+1)/(e-1)) * Math.tanh(F/2));
+}
+
+export function trueToMean(nu, e) {
+    if (e < 1) {
+        const E = 2 * Math.atan2(Math.sqrt(1-e) * Math.sin(nu/2), Math.sqrt(1+e) * Math.cos(nu/2));
+        return wrap(E - e*Math.sin(E));
+    }
+    const F = 2 * Math.atanh(Math.sqrt((e-1)/(e+1)) * Math.tan(nu/2));
+    return e*Math.sinh(F) - F;
+}
+
+/**
+ * Elements -> state relative to the central body.
+ * @param {{a:number, e:number, i:number, Omega:number, omega:number, nu?:number, M?:number}} el
+ *        a in AU (negative or positive for e > 1, taken as hyperbolic), angles in radians;
+ *        give either the true anomaly nu or the mean anomaly M
+ * @param {number} mu  G·(M_central + m)
+ * @returns {{ r:number[], v:number[] }}
+ */
+export function elementsToState(el, mu) {
+    const { e, i, Omega, omega } = el;
+    if (!(e >= 0) || Math.abs(e - 1) < 1e-9) throw new Error(`e must be ≥ 0 and not 1 (got ${e})`);
+    if (!(Math.abs(el.a) > 0)) throw new Error(`a must be non-zero (got ${el.a})`);
+    if (!(mu > 0)) throw new Error('central mass must be positive');
+    const a = e < 1 ? el.a : -Math.abs(el.a);
+    if (e < 1 && a < 0) throw new Error(`a must be > 0 for a bound orbit (got ${el.a})`);
+    const nu = el.nu ?? meanToTrue(el.M ?? 0, e);
+    const p = a * (1 - e*e);
+    const denom = 1 + e*Math.cos(nu);
+    if (denom <= 1e-12) throw new Error(`true anomaly ${(nu*180/Math.PI).toFixed(1)}° is beyond the asymptote of this hyperbola`);
+
+    const r = p / denom, vk = Math.sqrt(mu / p);
+    const rp = [r*Math.cos(nu), r*Math.sin(nu)], vp = [-vk*Math.sin(nu), vk*(e + Math.cos(nu))];
+    // perifocal -> inertial: R3(−Ω) R1(−i) R3(−ω)
+    const cO = Math.cos(Omega), sO = Math.sin(Omega), cw = Math.cos(omega), sw = Math.sin(omega);
+    const ci = Math.cos(i), si = Math.sin(i);
+    const P = [cO*cw - sO*sw*ci, sO*cw + cO*sw*ci, sw*si];
+    const Q = [-cO*sw - sO*cw*ci, -sO*sw + cO*cw*ci, cw*si];
+    return {
+        r: [0, 1, 2].map(c => rp[0]*P[c] + rp[1]*Q[c]),
+        v: [0, 1, 2].map(c => vp[0]*P[c] + vp[1]*Q[c]),
+    };
+}
+
+/**
+ * Osculating elements of a relative state. Degenerate angles are folded the usual way:
+ * equatorial orbits get Ω = 0 (ω becomes the longitude of periapsis), circular ones get
+ * ω = 0 (ν becomes the argument of latitude / true longitude).
+ * @returns {{ a, e, i, Omega, omega, nu, M, period, rPeri, energy, bound:boolean }}  angles in radians,
+ *          period in days (Infinity if unbound)
+ */
+export function stateToElements(r, v, mu) {
+    const rr = norm(r), v2 = dot(v, v), rv = dot(r, v);
+    const h = cross(r, v), hh = norm(h);
+    const energy = v2/2 - mu/rr;
+    const ev = [0, 1, 2].map(c => ((v2 - mu/rr)*r[c] - rv*v[c]) / mu);
+    const e = norm(ev);
+    const a = -mu / (2*energy);
+    const i = Math.acos(Math.max(-1, Math.min(1, h[2] / hh)));
+    const n = [-h[1], h[0], 0];
+    const equatorial = norm(n) < I_EQUAT * hh, circular = e < E_CIRC;
+    // signed angle from u to w measured about h
+    const angle = (u, w) => Math.atan2(dot(cross(u, w), h) / hh, dot(u, w));
+
+    const Omega = equatorial ? 0 : wrap(Math.atan2(n[1], n[0]));
+    const ref = equatorial ? [1, 0, 0] : n;
+    const omega = circular ? 0 : wrap(angle(ref, ev));
+    // hyperbolic ν stays signed (−ν∞, ν∞) so incoming and outgoing legs read naturally
+    const nu = circular ? wrap(angle(ref, r)) : e < 1 ? wrap(angle(ev, r)) : angle(ev, r);
+    const bound = energy < 0 && e < 1;
+    return {
+        a, e, i, Omega, omega, nu,
+        M: Math.abs(e - 1) < 1e-9 ? NaN : trueToMean(nu, e),
+        period: bound ? TAU * Math.sqrt(a*a*a / mu) : Infinity,
+        rPeri: hh*hh / (mu * (1 + e)),
+        energy, bound,
+    };
+}
+
+// Body j ≠ i with the strongest pull on body i — the natural "central body" for it
+export function dominantBody(masses, pos, i) {
+    let best = -1, pull = -Infinity;
+    for (let j = 0; j < masses.length; j++) {
+        if (j === i) continue;
+        const d2 = (pos[i][0]-pos[j][0])**2 + (pos[i][1]-pos[j][1])**2 + (pos[i][2]-pos[j][2])**2;
+        const f = masses[j] / Math.max(d2, 1e-30);
+        if (f > pull) { pull = f; best = j; }
+    }
+    return best;
+}
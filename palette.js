@@ -0,0 +1,9 @@
+// palette.js — body colours, shared by the HUD (cards, legend) and the renderer.
+
+// Body colour: --c1..--cN CSS variables first, then golden-angle hues for any extra bodies
+export function bodyColor(i) {
+    const v = getComputedStyle(document.documentElement).getPropertyValue(`--c${i+1}`).trim();
+    if (v) return v;
+    const hue = Math.round((i * 137.508) % 360);
+    return `hsl(${hue}, 85%, 65%)`;
+}
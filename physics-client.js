@@ -0,0 +1,94 @@
+// physics-client.js — main-thread side of physics-worker.js: sends commands, buffers the
+// streamed frames/events and interpolates positions for whatever time is on screen.
+
+export class PhysicsClient {
+    constructor({ onError } = {}) {
+        this.worker = new Worker(new URL('./physics-worker.js', import.meta.url), { type: 'module' });
+        this.worker.onmessage = e => this._receive(e.data);
+        this.worker.onerror = e => { e.preventDefault?.(); onError?.(e); };
+        this.gen = 0;
+        this._clear();
+    }
+
+    _clear() {
+        this.frames = [];     // not yet shown, ascending t
+        this.events = [];     // not yet shown, ascending t
+        this.current = null;  // last frame handed out by take()
+        this.requested = -Infinity;
+        this.halted = false;  // the worker stopped at a pausing event and computes no further
+    }
+
+    _receive(msg) {
+        if (msg.type !== 'frames' || msg.gen !== this.gen) return;   // stale: sent before the last init
+        this.frames.push(...msg.frames);
+        this.events.push(...msg.events);
+        this.halted = msg.halted;
+    }
+
+    /** (Re)start the worker from an engine snapshot; anything still buffered is dropped. */
+    init({ integrator, softening, snap, ids, collision, escape, dt, escaped }) {
+        this._clear();
+        this.current = { ...snap, ids: ids.slice(), escaped: escaped?.slice() };
+        this.paused = false;   // the worker starts unpaused after init
+        this.worker.postMessage({ type: 'init', gen: ++this.gen, integrator, softening, snap, ids, collision, escape, dt, escaped });
+    }
+
+    // Cheap to call every frame: only changes are sent (un-pausing also clears an event halt)
+    setPaused(paused) {
+        if (paused !== this.paused) {
+            this.paused = paused;
+            if (!paused) this.halted = false;
+            this.worker.postMessage({ type: 'pause', paused });
+        }
+    }
+    setStep(dt) { this.worker.postMessage({ type: 'step', dt }); }
+    setIntegrator(key) { this.worker.postMessage({ type: 'integrator', key }); }
+    setCollision(config) { this.worker.postMessage({ type: 'collision', config: { ...config } }); }
+    terminate() { this.worker.terminate(); }
+
+    /** Newest sim time available to show. */
+    get latestT() { return this.frames.length ? this.frames[this.frames.length - 1].t : this.current?.t ?? 0; }
+
+    /** Has time t been computed (or will it never be, the worker having halted before it)? */
+    ready(t) { return this.latestT >= t || this.halted; }
+
+    /** Keep the worker computing up to t (display time plus lead). */
+    demand(t) {
+        if (t > this.requested) { this.requested = t; this.worker.postMessage({ type: 'until', t }); }
+    }
+
+    /**
+     * Hand out, in time order, every event and frame up to time t: onEvent(ev) before the
+     * frame that follows it, onFrame(frame) for each frame. Stops early once isStopped()
+     * (an event paused the display).
+     */
+    take(t, onEvent, onFrame, isStopped = () => false) {
+        while (this.frames.length && this.frames[0].t <= t && !isStopped()) {
+            const f = this.frames.shift();
+            while (this.events.length && this.events[0].t <= f.t) onEvent(this.events.shift());
+            this.current = f;
+            onFrame(f);
+        }
+    }
+
+    /**
+     * Positions at time t between the current frame and the next one (cubic Hermite with the
+     * frames' velocities); the current frame's positions if there is no next one or the body
+     * set changes in between. Pass the previous result as `out` to refill it in place.
+     */
+    positionsAt(t, out = []) {
+        const a = this.current, b = this.frames[0];
+        const n = a.n, sa = a.state, pos = out;
+        pos.length = n;
+        for (let i=0;i<n;i++) {
+            const p = pos[i] ??= [0, 0, 0];
+            p[0] = sa[3*i]; p[1] = sa[3*i+1]; p[2] = sa[3*i+2];
+        }
+        if (!b || b.n !== n || !(b.t > a.t) || t <= a.t) return pos;
+        const h = b.t - a.t, s = Math.min(1, (t - a.t) / h), sb = b.state;
+        const h00 = 2*s*s*s - 3*s*s + 1, h10 = s*s*s - 2*s*s + s, h01 = -2*s*s*s + 3*s*s, h11 = s*s*s - s*s;
+        for (let i=0;i<n;i++) for (let c=0;c<3;c++)
+            pos[i][c] = h00*sa[3*i+c] + h10*h*sa[3*n+3*i+c] + h01*sb[3*i+c] + h11*h*sb[3*n+3*i+c];
+        return pos;
+    }
+}
@@ -0,0 +1,51 @@
+// physics-worker.js — runs a SimLoop off the main thread. The main thread asks for sim time
+// up to `until` (its display time plus some lead); frames and events stream back in batches.
+//
+// in:  { type:'init', gen, integrator, softening, snap, ids, collision, escape, dt, escaped }
+//      { type:'until', t }  { type:'pause', paused }  { type:'step', dt }
+//      { type:'integrator', key }  { type:'collision', config }
+// out: { type:'frames', gen, frames:[…], events:[…], halted }
+import { SimLoop } from './simloop.js';
+
+const SLICE_MS = 12;   // yield to the message queue this often
+
+let sim = null, gen = 0, until = 0, paused = false, running = false;
+
+function pump() {
+    running = false;
+    if (!sim || paused || sim.halted || sim.engine.t >= until) return;
+    const frames = [], events = [];
+    const t0 = performance.now();
+    while (!sim.halted && sim.engine.t < until && performance.now() - t0 < SLICE_MS) {
+        events.push(...sim.step());
+        frames.push(sim.frame());
+    }
+    self.postMessage({ type: 'frames', gen, frames, events, halted: sim.halted },
+                     frames.flatMap(f => [f.state.buffer, f.m.buffer]));
+    schedule();
+}
+
+function schedule() {
+    if (!running) { running = true; setTimeout(pump, 0); }
+}
+
+self.onmessage = e => {
+    const msg = e.data;
+    switch (msg.type) {
+    case 'init':
+        gen = msg.gen;
+        sim = new SimLoop(msg);
+        until = sim.engine.t;
+        paused = false;
+        break;
+    case 'until': until = msg.t; break;
+    case 'pause':
+        paused = msg.paused;
+        if (!paused && sim) sim.halted = false;
+        break;
+    case 'step': sim?.setStep(msg.dt); break;
+    case 'integrator': sim?.setIntegrator(msg.key); break;
+    case 'collision': if (sim) Object.assign(sim.collision, msg.config); break;
+    }
+    schedule();
+};
@@ -1,7 +1,40 @@
-// physics.js — N-body RK4 integrator & constants (AU, day, M☉)
+// physics.js — N-body integrators & constants (AU, day, M☉)
 export const G = 2.959122082855911e-4; // AU^3 / (Msun * day^2)
 
-export class NBodyRK4 {
+/**
+ * Softened Newtonian accelerations (AU/day²) of the n = m.length positions in s[0..3n),
+ * written to out[off..off+3n). soft2 is the softening length squared.
+ */
+export function gravityAccel(out, s, m, soft2, off = 0) {
+    const n = m.length;
+    for (let i=0;i<n;i++) {
+        let ax=0, ay=0, az=0;
+        const xi = s[3*i], yi = s[3*i+1], zi = s[3*i+2];
+        for (let j=0;j<n;j++) if (j!==i) {
+            const xj=s[3*j], yj=s[3*j+1], zj=s[3*j+2];
+            const dx=xi-xj, dy=yi-yj, dz=zi-zj;
+            const r2 = dx*dx + dy*dy + dz*dz + soft2;
+            const invR3 = 1.0 / (r2 * Math.sqrt(r2));
+            const f = -G * m[j] * invR3;
+            ax += f * dx; ay += f * dy; az += f * dz;
+        }
+        out[off + 3*i + 0] = ax;
+        out[off + 3*i + 1] = ay;
+        out[off + 3*i + 2] = az;
+    }
+}
+
+/**
+ * Common state and diagnostics shared by every integrator.
+ * Subclasses only implement step(dt); all of them expose the same interface:
+ *   state        Float64Array [x... y... z... vx... vy... vz...] (per body: x,y,z triplets)
+ *   t            simulated time (days) advanced by step()
+ *   lastDt       most recently accepted step size (days)
+ *   step(dt), energy(), momentum(), angularMomentum(), centreOfMass(),
+ *   getPositions(out?), getVelocities(out?)
+ * Working arrays come from scratch() so step() doesn't allocate in the hot loop.
+ */
+export class NBodySystem {
     constructor(masses, pos, vel, softening = 1e-6) {
         const n = masses.length;
         this.n = n;
@@ -15,44 +48,117 @@ export class NBodyRK4 {
             this.state[3*n + 3*i + 1] = vel[i][1];
             this.state[3*n + 3*i + 2] = vel[i][2];
         }
+        this.softening = softening;
         this.soft2 = softening * softening;
+        this.t = 0;
+        this.lastDt = 0;
     }
 
+    // accelerations of positions s[0..3n) written to out[off..off+3n)
+    accel(out, s, off = 0) { gravityAccel(out, s, this.m, this.soft2, off); }
+
     deriv(out, s) {
         const n = this.n;
         // positions' derivatives = velocities
         for (let i=0;i<3*n;i++) out[i] = s[3*n + i];
+        this.accel(out, s, 3*n);
+    }
 
-        // accelerations
-        for (let i=0;i<n;i++) {
-            let ax=0, ay=0, az=0;
-            const xi = s[3*i], yi = s[3*i+1], zi = s[3*i+2];
-            for (let j=0;j<n;j++) if (j!==i) {
-                const xj=s[3*j], yj=s[3*j+1], zj=s[3*j+2];
-                const dx=xi-xj, dy=yi-yj, dz=zi-zj;
-                const r2 = dx*dx + dy*dy + dz*dz + this.soft2;
-                const invR3 = 1.0 / Math.pow(r2, 1.5);
-                const f = -G * this.m[j] * invR3;
-                ax += f * dx; ay += f * dy; az += f * dz;
+    // Reusable named work buffer of len doubles (reallocated only when n changes, e.g. after a merge)
+    scratch(name, len) {
+        const pool = this._scratch ??= {};
+        const a = pool[name];
+        return a && a.length === len ? a : (pool[name] = new Float64Array(len));
+    }
+
+    step(dt) { throw new Error(`${this.constructor.name}.step() not implemented`); }
+
+    // Call after editing state/m from outside step() so integrators can drop cached quantities
+    onStateChanged() {}
+
+    // Full copy of everything step() depends on, for rewinding (event bisection, recorder).
+    // `into` (an earlier snapshot nobody else holds) is overwritten instead of allocating.
+    snapshot(into) {
+        const s = into?.n === this.n ? into : { m: new Float64Array(this.n), state: new Float64Array(6*this.n) };
+        s.n = this.n; s.m.set(this.m); s.state.set(this.state); s.t = this.t; s.lastDt = this.lastDt;
+        return s;
+    }
+
+    restore(snap) {
+        if (snap.n !== this.n) { this.n = snap.n; this.state = new Float64Array(6*snap.n); }
+        if (this.m.length === snap.n) this.m.set(snap.m); else this.m = Float64Array.from(snap.m);
+        this.state.set(snap.state);
+        this.t = snap.t;
+        this.lastDt = snap.lastDt;
+    }
+
+    // Drop body j; the engine shrinks in place to n-1 bodies
+    removeBody(j) {
+        const n = this.n, s = this.state, N3 = 3*n;
+        const next = new Float64Array(6*(n-1));
+        for (let i=0, k=0;i<n;i++) if (i !== j) {
+            for (let c=0;c<3;c++) {
+                next[3*k+c] = s[3*i+c];
+                next[3*(n-1) + 3*k+c] = s[N3 + 3*i+c];
             }
-            out[3*n + 3*i + 0] = ax;
-            out[3*n + 3*i + 1] = ay;
-            out[3*n + 3*i + 2] = az;
+            k++;
         }
+        this.m = Float64Array.from(Array.from(this.m).filter((_, i) => i !== j));
+        this.n = n - 1;
+        this.state = next;
+        this.onStateChanged();
     }
 
-    step(dt) {
-        const n6 = 6*this.n, s=this.state;
-        const k1=new Float64Array(n6), k2=new Float64Array(n6),
-            k3=new Float64Array(n6), k4=new Float64Array(n6);
-        this.deriv(k1, s);
-        const s2=new Float64Array(n6); for (let i=0;i<n6;i++) s2[i]=s[i]+0.5*dt*k1[i];
-        this.deriv(k2, s2);
-        const s3=new Float64Array(n6); for (let i=0;i<n6;i++) s3[i]=s[i]+0.5*dt*k2[i];
-        this.deriv(k3, s3);
-        const s4=new Float64Array(n6); for (let i=0;i<n6;i++) s4[i]=s[i]+dt*k3[i];
-        this.deriv(k4, s4);
-        for (let i=0;i<n6;i++) s[i] += (dt/6)*(k1[i] + 2*k2[i] + 2*k3[i] + k4[i]);
+    /**
+     * Perfect merger of bodies i and j: masses add, momentum is conserved and the
+     * merged body sits at the pair's centre of mass. j is removed, so indices above
+     * j shift down by one.
+     * @returns {{index:number, mass:number, pos:number[], vel:number[]}} survivor (post-removal index)
+     */
+    mergeBodies(i, j) {
+        const n = this.n, s = this.state, N3 = 3*n;
+        const mi = this.m[i], mj = this.m[j], M = mi + mj;
+        const pos = [0,1,2].map(c => (mi*s[3*i+c] + mj*s[3*j+c]) / M);
+        const vel = [0,1,2].map(c => (mi*s[N3+3*i+c] + mj*s[N3+3*j+c]) / M);
+        for (let c=0;c<3;c++) { s[3*i+c] = pos[c]; s[N3+3*i+c] = vel[c]; }
+        this.m[i] = M;
+        this.removeBody(j);
+        return { index: j < i ? i - 1 : i, mass: M, pos, vel };
+    }
+
+    /**
+     * Inelastic bounce along the line of centres with coefficient of restitution e
+     * (1 = elastic, 0 = perfectly inelastic but still separate). The pair is pushed
+     * apart to minSep about its centre of mass so the contact doesn't re-trigger.
+     * @returns {{vRel:number, dE:number}} approach speed (AU/day) and kinetic energy lost
+     */
+    bounceBodies(i, j, restitution = 0.5, minSep = 0) {
+        const s = this.state, N3 = 3*this.n;
+        const mi = this.m[i], mj = this.m[j];
+        const d = [0,1,2].map(c => s[3*i+c] - s[3*j+c]);
+        const sep = Math.hypot(d[0], d[1], d[2]) || 1e-16;
+        const nh = d.map(x => x / sep);
+        let vn = 0;
+        for (let c=0;c<3;c++) vn += (s[N3+3*i+c] - s[N3+3*j+c]) * nh[c];
+        let dE = 0;
+        if (vn < 0) { // approaching
+            const mu = mi*mj / (mi + mj);
+            const J = -(1 + restitution) * vn * mu;
+            for (let c=0;c<3;c++) {
+                s[N3+3*i+c] += J / mi * nh[c];
+                s[N3+3*j+c] -= J / mj * nh[c];
+            }
+            dE = 0.5 * mu * vn*vn * (1 - restitution*restitution);
+        }
+        if (sep < minSep) {
+            const push = minSep - sep, M = mi + mj;
+            for (let c=0;c<3;c++) {
+                s[3*i+c] += push * mj / M * nh[c];
+                s[3*j+c] -= push * mi / M * nh[c];
+            }
+        }
+        this.onStateChanged();
+        return { vRel: Math.abs(vn), dE };
     }
 
     energy() {
@@ -71,14 +177,323 @@ export class NBodyRK4 {
         return K + U;
     }
 
-    getPositions() {
-        const n=this.n, s=this.state;
-        const out = new Array(n);
-        for (let i=0;i<n;i++) out[i] = [s[3*i], s[3*i+1], s[3*i+2]];
-        return out;
+    // Total linear momentum Σ m·v
+    momentum() {
+        const n=this.n, s=this.state, m=this.m, N3=3*n;
+        const P = [0, 0, 0];
+        for (let i=0;i<n;i++) for (let c=0;c<3;c++) P[c] += m[i]*s[N3+3*i+c];
+        return P;
+    }
+
+    // Total angular momentum Σ m·(r × v) about the origin
+    angularMomentum() {
+        const n=this.n, s=this.state, m=this.m, N3=3*n;
+        const L = [0, 0, 0];
+        for (let i=0;i<n;i++) {
+            const x=s[3*i], y=s[3*i+1], z=s[3*i+2], vx=s[N3+3*i], vy=s[N3+3*i+1], vz=s[N3+3*i+2];
+            L[0] += m[i]*(y*vz - z*vy);
+            L[1] += m[i]*(z*vx - x*vz);
+            L[2] += m[i]*(x*vy - y*vx);
+        }
+        return L;
+    }
+
+    // Centre of mass: position, velocity and total mass
+    centreOfMass() {
+        const n=this.n, s=this.state, m=this.m, N3=3*n;
+        const pos = [0, 0, 0], vel = [0, 0, 0];
+        let M = 0;
+        for (let i=0;i<n;i++) {
+            M += m[i];
+            for (let c=0;c<3;c++) { pos[c] += m[i]*s[3*i+c]; vel[c] += m[i]*s[N3+3*i+c]; }
+        }
+        for (let c=0;c<3;c++) { pos[c] /= M; vel[c] /= M; }
+        return { pos, vel, mass: M };
+    }
+
+    // [[x,y,z], …]; pass the previous result as `out` to refill it in place each frame
+    getPositions(out = []) { return triplets(out, this.state, 0, this.n); }
+    getVelocities(out = []) { return triplets(out, this.state, 3*this.n, this.n); }
+}
+
+function triplets(out, s, off, n) {
+    out.length = n;
+    for (let i=0;i<n;i++) {
+        const v = out[i] ??= [0, 0, 0];
+        v[0] = s[off+3*i]; v[1] = s[off+3*i+1]; v[2] = s[off+3*i+2];
+    }
+    return out;
+}
+
+// Classic fixed-step 4th-order Runge–Kutta (not symplectic: energy drifts slowly)
+export class NBodyRK4 extends NBodySystem {
+    step(dt) {
+        const n6 = 6*this.n, s=this.state;
+        const k1=this.scratch('k1', n6), k2=this.scratch('k2', n6),
+            k3=this.scratch('k3', n6), k4=this.scratch('k4', n6), y=this.scratch('y', n6);
+        this.deriv(k1, s);
+        for (let i=0;i<n6;i++) y[i]=s[i]+0.5*dt*k1[i];
+        this.deriv(k2, y);
+        for (let i=0;i<n6;i++) y[i]=s[i]+0.5*dt*k2[i];
+        this.deriv(k3, y);
+        for (let i=0;i<n6;i++) y[i]=s[i]+dt*k3[i];
+        this.deriv(k4, y);
+        for (let i=0;i<n6;i++) s[i] += (dt/6)*(k1[i] + 2*k2[i] + 2*k3[i] + k4[i]);
+        this.t += dt; this.lastDt = dt;
+    }
+}
+
+// Symplectic drift–kick–drift sub-step shared by leapfrog and Yoshida (one force evaluation)
+function driftKickDrift(sys, acc, h) {
+    const N3 = 3*sys.n, s = sys.state;
+    for (let i=0;i<N3;i++) s[i] += 0.5*h*s[N3+i];
+    sys.accel(acc, s);
+    for (let i=0;i<N3;i++) s[N3+i] += h*acc[i];
+    for (let i=0;i<N3;i++) s[i] += 0.5*h*s[N3+i];
+}
+
+// Leapfrog / velocity Verlet (2nd order, symplectic: bounded energy error)
+export class NBodyLeapfrog extends NBodySystem {
+    step(dt) {
+        driftKickDrift(this, this.scratch('acc', 3*this.n), dt);
+        this.t += dt; this.lastDt = dt;
+    }
+}
+
+// Yoshida (1990) 4th-order symplectic composition of three leapfrog sub-steps
+const YOSHIDA_W1 = 1 / (2 - Math.cbrt(2));
+const YOSHIDA_W0 = -Math.cbrt(2) * YOSHIDA_W1;
+
+export class NBodyYoshida4 extends NBodySystem {
+    step(dt) {
+        const acc = this.scratch('acc', 3*this.n);
+        driftKickDrift(this, acc, YOSHIDA_W1*dt);
+        driftKickDrift(this, acc, YOSHIDA_W0*dt);
+        driftKickDrift(this, acc, YOSHIDA_W1*dt);
+        this.t += dt; this.lastDt = dt;
+    }
+}
+
+/**
+ * Algorithmic regularization: logarithmic-Hamiltonian (LogH) leapfrog of
+ * Mikkola & Tanikawa (1999) / Preto & Tremaine (1999), composed to 4th order
+ * with Yoshida's coefficients. Time is transformed with dt = ds / U, so steps
+ * shrink automatically as 1/U during close star–star passages; a two-body
+ * encounter is integrated along the exact Kepler orbit, even through a
+ * near-collision, so no softening is needed (softening is forced to 0).
+ *
+ * The fictitious step `ds` is fixed when the first step() is taken; step(dt)
+ * still lands exactly on t + dt by solving for the size of the final sub-step.
+ * A negative dt integrates backwards with the same sub-steps reversed.
+ * Test particles barely contribute to U and so are not regularized.
+ */
+export class NBodyLogH extends NBodySystem {
+    constructor(masses, pos, vel, softening = 0, { eta = 0.01 } = {}) {
+        super(masses, pos, vel, 0);
+        this.eta = eta;      // fraction of the shortest pairwise dynamical time per sub-step
+        this.ds = 0;         // fictitious-time step, chosen on first use
+        this.B = null;       // binding energy −E0 (constant without external forces)
+    }
+
+    onStateChanged() { this.B = null; this.ds = 0; }
+
+    snapshot(into) { return Object.assign(super.snapshot(into), { B: this.B, ds: this.ds }); }
+    restore(snap) { super.restore(snap); this.B = snap.B ?? null; this.ds = snap.ds ?? 0; }
+
+    // U = −potential (> 0)
+    potentialU() {
+        const n=this.n, s=this.state, m=this.m;
+        let U = 0;
+        for (let i=0;i<n;i++) for (let j=i+1;j<n;j++) {
+            const dx=s[3*i]-s[3*j], dy=s[3*i+1]-s[3*j+1], dz=s[3*i+2]-s[3*j+2];
+            U += G * m[i]*m[j] / Math.sqrt(dx*dx+dy*dy+dz*dz);
+        }
+        return U;
+    }
+
+    kineticT() {
+        const n=this.n, s=this.state, m=this.m, N3=3*n;
+        let T = 0;
+        for (let i=0;i<n;i++) {
+            const vx=s[N3+3*i], vy=s[N3+3*i+1], vz=s[N3+3*i+2];
+            T += 0.5*m[i]*(vx*vx+vy*vy+vz*vz);
+        }
+        return T;
+    }
+
+    // Shortest sqrt(r^3 / G(mi+mj)) over all pairs
+    dynamicalTime() {
+        const n=this.n, s=this.state, m=this.m;
+        let tmin = Infinity;
+        for (let i=0;i<n;i++) for (let j=i+1;j<n;j++) {
+            const dx=s[3*i]-s[3*j], dy=s[3*i+1]-s[3*j+1], dz=s[3*i+2]-s[3*j+2];
+            const r = Math.sqrt(dx*dx+dy*dy+dz*dz);
+            tmin = Math.min(tmin, Math.sqrt(r*r*r / (G * (m[i]+m[j]))));
+        }
+        return tmin;
+    }
+
+    // One time-transformed drift–kick–drift in fictitious time h
+    _dkd(acc, h) {
+        const N3 = 3*this.n, s = this.state;
+        let dt = 0.5*h / (this.kineticT() + this.B);
+        for (let i=0;i<N3;i++) s[i] += dt*s[N3+i];
+        this.t += dt;
+        this.accel(acc, s);
+        const dtk = h / this.potentialU();
+        for (let i=0;i<N3;i++) s[N3+i] += dtk*acc[i];
+        dt = 0.5*h / (this.kineticT() + this.B);
+        for (let i=0;i<N3;i++) s[i] += dt*s[N3+i];
+        this.t += dt;
+    }
+
+    _substep(acc, ds) {
+        this._dkd(acc, YOSHIDA_W1*ds);
+        this._dkd(acc, YOSHIDA_W0*ds);
+        this._dkd(acc, YOSHIDA_W1*ds);
+    }
+
+    step(dt) {
+        if (this.n < 2) { // nothing left to regularize (e.g. after a final merger): free drift
+            const N3 = 3*this.n, s = this.state;
+            for (let i=0;i<N3;i++) s[i] += dt*s[N3+i];
+            this.t += dt; this.lastDt = dt;
+            return;
+        }
+        const acc = this.scratch('acc', 3*this.n);
+        if (this.B === null) this.B = -this.energy();
+        if (!(this.ds > 0)) this.ds = this.potentialU() * Math.min(Math.abs(dt), this.eta * this.dynamicalTime());
+
+        // A negative fictitious step runs the map backwards in time (it is time-symmetric)
+        const dir = Math.sign(dt), h = dir * this.ds;
+        const target = this.t + dt;
+        const saved = this.scratch('saved', this.state.length);
+        for (let guard = 0; guard < 1e6; guard++) {
+            const t0 = this.t, rem = target - t0;
+            if (dir * rem <= 1e-15 * Math.max(1, Math.abs(target))) break;
+            saved.set(this.state);
+            this._substep(acc, h);
+            if (dir * (this.t - target) <= 0) { this.lastDt = this.t - t0; continue; }
+
+            // Overshoot: secant-solve for the fictitious step that lands on target
+            let ds = h * rem / (this.t - t0);
+            for (let it = 0; it < 8; it++) {
+                this.state.set(saved); this.t = t0;
+                this._substep(acc, ds);
+                const adv = this.t - t0;
+                if (Math.abs(adv - rem) <= 1e-13 * Math.abs(rem)) break;
+                ds *= rem / adv;
+            }
+            this.lastDt = rem;
+            break;
+        }
+        this.t = target;
+    }
+}
+
+// Runge–Kutta–Fehlberg 4(5) tableau
+const RKF_A = [
+    [],
+    [1/4],
+    [3/32, 9/32],
+    [1932/2197, -7200/2197, 7296/2197],
+    [439/216, -8, 3680/513, -845/4104],
+    [-8/27, 2, -3544/2565, 1859/4104, -11/40],
+];
+const RKF_B5 = [16/135, 0, 6656/12825, 28561/56430, -9/50, 2/55];
+const RKF_B4 = [25/216, 0, 1408/2565, 2197/4104, -1/5, 0];
+
+/**
+ * Adaptive embedded Runge–Kutta–Fehlberg 4(5) with local error control.
+ * step(dt) always advances exactly dt, taking as many internal steps as the
+ * tolerance demands (tiny ones during close encounters, large ones otherwise).
+ * The accepted internal step size is carried over between calls in `h`.
+ */
+export class NBodyRKF45 extends NBodySystem {
+    constructor(masses, pos, vel, softening = 1e-6, { rtol = 1e-10, atol = 1e-13 } = {}) {
+        super(masses, pos, vel, softening);
+        this.rtol = rtol;
+        this.atol = atol;
+        this.h = 0;           // proposed next internal step (0 → pick from first dt)
+        this.rejected = 0;    // running count of rejected trial steps
+    }
+
+    snapshot(into) { return Object.assign(super.snapshot(into), { h: this.h }); }
+    restore(snap) { super.restore(snap); this.h = snap.h ?? 0; }
+
+    step(dt) {
+        const n6 = 6*this.n, s = this.state;
+        // stage derivatives, kept between calls like the scratch buffers
+        const k = this._k?.[0].length === n6 ? this._k : (this._k = Array.from({ length: 6 }, () => new Float64Array(n6)));
+        const tmp = this.scratch('tmp', n6), y5 = this.scratch('y5', n6);
+        const dir = Math.sign(dt);
+        let remaining = Math.abs(dt);
+        if (!(this.h > 0)) this.h = remaining;
+
+        for (let guard = 0; remaining > 0 && guard < 1e6; guard++) {
+            const clipped = this.h >= remaining;
+            const h = clipped ? remaining : this.h;
+            const hs = dir * h;
+
+            this.deriv(k[0], s);
+            for (let st = 1; st < 6; st++) {
+                const a = RKF_A[st];
+                for (let i=0;i<n6;i++) {
+                    let acc = s[i];
+                    for (let q = 0; q < st; q++) acc += hs * a[q] * k[q][i];
+                    tmp[i] = acc;
+                }
+                this.deriv(k[st], tmp);
+            }
+
+            // 5th-order solution and scaled max-norm of the embedded error estimate
+            let errMax = 0;
+            for (let i=0;i<n6;i++) {
+                let d5 = 0, d4 = 0;
+                for (let q = 0; q < 6; q++) { d5 += RKF_B5[q]*k[q][i]; d4 += RKF_B4[q]*k[q][i]; }
+                y5[i] = s[i] + hs*d5;
+                const sc = this.atol + this.rtol * Math.max(Math.abs(s[i]), Math.abs(y5[i]));
+                const e = Math.abs(hs*(d5 - d4)) / sc;
+                if (e > errMax) errMax = e;
+            }
+
+            const factor = errMax > 0 ? Math.min(5, Math.max(0.2, 0.9 * Math.pow(errMax, -0.2))) : 5;
+            if (errMax <= 1 || h <= 1e-14 * Math.max(1, Math.abs(this.t))) {
+                s.set(y5);
+                remaining -= h;
+                this.t += hs;
+                this.lastDt = h;
+                // don't let the final clipped step shrink the carried-over proposal
+                this.h = clipped ? Math.max(this.h, h * factor) : h * factor;
+            } else {
+                this.rejected++;
+                this.h = h * factor;
+            }
+        }
     }
 }
 
+// Integrator registry (HUD selector + createIntegrator use these keys)
+export const INTEGRATORS = {
+    'rk4':      { label: 'RK4 (fixed step)',                 Engine: NBodyRK4 },
+    'leapfrog': { label: 'Leapfrog / velocity Verlet',       Engine: NBodyLeapfrog },
+    'yoshida4': { label: 'Yoshida 4th-order (symplectic)',   Engine: NBodyYoshida4 },
+    'rkf45':    { label: 'RKF45 adaptive (error control)',   Engine: NBodyRKF45 },
+    'logh':     { label: 'Regularized LogH (no softening)',  Engine: NBodyLogH, regularized: true },
+};
+
+export function createIntegrator(key, masses, pos, vel, softening = 1e-6) {
+    const def = INTEGRATORS[key] ?? INTEGRATORS['rk4'];
+    return new def.Engine(masses, pos, vel, softening);
+}
+
+// Same bodies, state and time, different integrator (for swapping mid-run)
+export function switchIntegrator(engine, key, softening = engine.softening) {
+    const next = createIntegrator(key, Array.from(engine.m), engine.getPositions(), engine.getVelocities(), softening);
+    next.t = engine.t;
+    return next;
+}
+
 // --- Helpers you can reuse elsewhere (AU, day, M☉) ---
 
 // Physical radius in AU based on mass (same logic as renderer, but kept in physics land)
@@ -103,21 +518,66 @@ export function physicalRadiusAU(m){
     }
 }
 
+// Main-sequence mass–luminosity relation (L☉ from M☉), piecewise power law
+export function luminosityLsun(m){
+    if (!Number.isFinite(m) || m <= 0) return 0;
+    if (m < 0.43) return 0.23 * Math.pow(m, 2.3);
+    if (m < 2)    return Math.pow(m, 4);
+    if (m < 55)   return 1.4 * Math.pow(m, 3.5);
+    return 32000 * m;
+}
+
+// Effective temperature (K) from L = 4πR²σT⁴, using the radius and luminosity relations above
+export function effectiveTemperatureK(m){
+    const T_SUN_K = 5772, R_SUN_AU = 0.00465047;
+    const r = physicalRadiusAU(m) / R_SUN_AU;
+    return T_SUN_K * Math.pow(luminosityLsun(m) / (r*r), 0.25);
+}
+
+// "The planet": the smallest-mass body (renderer materials, habitability tracker)
+export function planetIndex(masses){
+    let idx = 0, min = masses[0];
+    for (let i=1;i<masses.length;i++) if (masses[i] < min){ min = masses[i]; idx = i; }
+    return idx;
+}
+
+// 'star' from roughly the hydrogen-burning limit upwards, else 'planet'
+export function defaultBodyType(m){
+    return m >= 0.08 ? 'star' : 'planet';
+}
+
 /**
  * Detect the first pairwise collision in the current state.
  * You can choose one of two radius models:
  *  - { mode: 'core',    fudge: 1.2 }     → uses physical core radii (AU) * fudge
  *  - { mode: 'vdt',     fudge: 1.0, dt } → uses |v| * dt (per body) * fudge
  *
- * @param {{engine:NBodyRK4, masses:number[], opts?:{mode:'core'|'vdt', fudge?:number, dt?:number}}} args
+ * @param {{engine:NBodySystem, masses:number[], opts?:{mode:'core'|'vdt', fudge?:number, dt?:number}}} args
  * @returns {null | {i:number, j:number, sep:number, minSep:number}}
  */
 export function detectCollision({ engine, masses, opts = { mode:'core', fudge:1.2 } }) {
     const n = masses.length;
     const s = engine.state; // [x... y... z... vx... vy... vz...]
-    const N3 = 3 * n;
+    const r = collisionRadii(engine, masses, opts);
 
-    // build radii (AU) per body
+    // pairwise check (O(n^2))
+    for (let i=0;i<n;i++){
+        const xi = s[3*i], yi = s[3*i+1], zi = s[3*i+2];
+        for (let j=i+1;j<n;j++){
+            const dx = xi - s[3*j], dy = yi - s[3*j+1], dz = zi - s[3*j+2];
+            const sep = Math.hypot(dx, dy, dz);
+            const minSep = r[i] + r[j];
+            if (sep < minSep) return { i, j, sep, minSep };
+        }
+    }
+    return null;
+}
+
+// Contact radius (AU) per body under detectCollision's radius models
+export function collisionRadii(engine, masses, opts = { mode:'core', fudge:1.2 }) {
+    const n = masses.length;
+    const s = engine.state;
+    const N3 = 3 * n;
     const r = new Float64Array(n);
     const fudge = Number.isFinite(opts.fudge) ? opts.fudge : 1.2;
 
@@ -132,21 +592,9 @@ export function detectCollision({ engine, masses, opts = { mode:'core', fudge:1.
         // 'core' model: use physical radii with a safety fudge (accounts for discrete timestep)
         for (let i=0;i<n;i++) r[i] = physicalRadiusAU(masses[i]) * fudge;
     }
-
-    // pairwise check (O(n^2))
-    for (let i=0;i<n;i++){
-        const xi = s[3*i], yi = s[3*i+1], zi = s[3*i+2];
-        for (let j=i+1;j<n;j++){
-            const dx = xi - s[3*j], dy = yi - s[3*j+1], dz = zi - s[3*j+2];
-            const sep = Math.hypot(dx, dy, dz);
-            const minSep = r[i] + r[j];
-            if (sep < minSep) return { i, j, sep, minSep };
-        }
-    }
-    return null;
+    return r;
 }
 
-
 // --- Constants (AU³ / (M☉ · day²)) ---
 export const G_AU3_MSUN_DAY2 = 2.959122082855911e-4;
 
@@ -160,11 +608,11 @@ export const G_AU3_MSUN_DAY2 = 2.959122082855911e-4;
  *  - maxSepAU:       only consider escape when the body is at least this far
  *                    from the CM of the other bodies (reduces noise near center).
  *  - fudge (>=1.0):  margin to account for timestep / modeling approximations.
- *  - consecutive:    how many consecutive frames must satisfy v >= v_esc to trigger.
- *                    (This function returns instantaneous status; the debounce lives in app.js)
+ *  - consecutive:    how many consecutive integrator steps must satisfy v >= v_esc to trigger.
+ *                    (This function returns instantaneous status; the debounce lives in events.js)
  *
  * @param {{
- *   engine: NBodyRK4,
+ *   engine: NBodySystem,
  *   masses: number[],
  *   maxSepAU?: number,
  *   fudge?: number
@@ -172,43 +620,48 @@ export const G_AU3_MSUN_DAY2 = 2.959122082855911e-4;
  * @returns {null | { index:number, v:number, vEsc:number, rCM:number, Mother:number }}
  */
 export function detectEscape({ engine, masses, maxSepAU = 5.0, fudge = 1.1 }) {
+    for (let k = 0; k < masses.length; k++) {
+        const esc = escapeStatus({ engine, masses, index: k, maxSepAU, fudge });
+        if (esc) return esc;
+    }
+    return null;
+}
+
+// Speed of body k, its distance from the CM of all the other bodies and the escape speed
+// from their combined mass there (null when there are no others)
+export function escapeMetrics({ engine, masses, index: k }) {
     const n = masses.length;
     const s = engine.state; // [x... y... z... vx... vy... vz...]
     const N3 = 3 * n;
 
-    for (let k = 0; k < n; k++) {
-        // CM of all bodies except k
-        let M = 0, cmx = 0, cmy = 0, cmz = 0;
-        for (let i = 0; i < n; i++) if (i !== k) {
-            const m = masses[i];
-            M += m;
-            cmx += m * s[3 * i + 0];
-            cmy += m * s[3 * i + 1];
-            cmz += m * s[3 * i + 2];
-        }
-        if (M <= 0) continue;
-        cmx /= M; cmy /= M; cmz /= M;
-
-        // Distance of k from CM(others)
-        const dx = s[3 * k + 0] - cmx;
-        const dy = s[3 * k + 1] - cmy;
-        const dz = s[3 * k + 2] - cmz;
-        const rCM = Math.hypot(dx, dy, dz);
+    // CM of all bodies except k
+    let M = 0, cmx = 0, cmy = 0, cmz = 0;
+    for (let i = 0; i < n; i++) if (i !== k) {
+        const m = masses[i];
+        M += m;
+        cmx += m * s[3 * i + 0];
+        cmy += m * s[3 * i + 1];
+        cmz += m * s[3 * i + 2];
+    }
+    if (M <= 0) return null;
+    cmx /= M; cmy /= M; cmz /= M;
 
-        // Only consider "escape" when sufficiently far from CM (reduces false triggers)
-        if (rCM < maxSepAU) continue;
+    // Distance of k from CM(others)
+    const rCM = Math.hypot(s[3 * k + 0] - cmx, s[3 * k + 1] - cmy, s[3 * k + 2] - cmz);
 
-        // Speed of k
-        const vx = s[N3 + 3 * k + 0], vy = s[N3 + 3 * k + 1], vz = s[N3 + 3 * k + 2];
-        const v  = Math.hypot(vx, vy, vz);
+    // Speed of k and escape speed vs CM(others)
+    const v = Math.hypot(s[N3 + 3 * k + 0], s[N3 + 3 * k + 1], s[N3 + 3 * k + 2]);
+    const vEsc = Math.sqrt(2 * G_AU3_MSUN_DAY2 * M / Math.max(rCM, 1e-16));
+    return { index: k, v, vEsc, rCM, Mother: M };
+}
 
-        // Escape speed vs CM(others)
-        const vEsc = Math.sqrt(2 * G_AU3_MSUN_DAY2 * M / Math.max(rCM, 1e-16)) * fudge;
+// detectEscape's test for a single body k
+export function escapeStatus({ engine, masses, index: k, maxSepAU = 5.0, fudge = 1.1 }) {
+    const e = escapeMetrics({ engine, masses, index: k });
 
-        if (v >= vEsc) {
-            return { index: k, v, vEsc, rCM, Mother: M };
-        }
-    }
+    // Only consider "escape" when sufficiently far from CM (reduces false triggers)
+    if (!e || e.rCM < maxSepAU) return null;
 
-    return null;
-}
\ No newline at end of file
+    const vEsc = e.vEsc * fudge;
+    return e.v >= vEsc ? { ...e, vEsc } : null;
+}
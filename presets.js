@@ -37,6 +37,7 @@ const triStarPlanet = (() => {
         masses: [m1, m2, m3, mp],
         pos:    [posStars[0], posStars[1], posStars[2], posP],
         vel:    [velStars[0], velStars[1], velStars[2], velP],
+        names:  ['Star 1', 'Star 2', 'Star 3', 'Planet'],
     };
 })();
 
@@ -44,7 +45,8 @@ const sunEarthJupiterPlus = (() => {
     const masses = [1.0, 3.003e-6, 0.000954, EPS_PLANET]; // add tiny 4th as test planet
     const pos = [[0,0,0],[1.0,0,0],[5.2,0,0],[1.3,0,0]];
     const vel = [[0,0,0],[0,0.0172,0],[0,0.0074,0],[0,0.015,0]];
-    return { masses, pos, vel };
+    const names = ['Sun', 'Earth', 'Jupiter', 'Test particle'];
+    return { masses, pos, vel, names };
 })();
 
 const trianglePlus = (() => {
@@ -0,0 +1,45 @@
+// recorder.js — fixed-capacity ring buffer of engine snapshots for rewind / replay / branching.
+// Frames keep whatever the engine's snapshot() holds (state, masses, t, integrator extras)
+// plus caller-supplied bookkeeping (body ids, energy baseline) so a branch can resume exactly.
+
+export class Recorder {
+    constructor(capacity = 3600) {
+        this.capacity = capacity;
+        this.clear();
+    }
+
+    clear() {
+        this.frames = new Array(this.capacity);
+        this.start = 0;   // ring index of the oldest frame
+        this.count = 0;
+    }
+
+    get length() { return this.count; }
+
+    /** Append the engine's current state; the oldest frame is dropped once full and its arrays refilled. */
+    record(engine, extra = {}) {
+        const k = (this.start + this.count) % this.capacity;
+        this.frames[k] = { ...extra, snap: engine.snapshot(this.frames[k]?.snap) };
+        if (this.count < this.capacity) this.count++;
+        else this.start = (this.start + 1) % this.capacity;
+    }
+
+    /** Frame k, counted from the oldest (0) to the newest (length − 1). */
+    at(k) {
+        if (!(k >= 0 && k < this.count)) return null;
+        return this.frames[(this.start + k) % this.capacity];
+    }
+
+    /** Forget every frame after k (branching rewrites the future). */
+    truncateAfter(k) {
+        for (let q = k + 1; q < this.count; q++) this.frames[(this.start + q) % this.capacity] = undefined;
+        this.count = Math.max(0, Math.min(this.count, k + 1));
+    }
+
+    /** Positions of frame k as [[x,y,z], …] */
+    positionsAt(k) {
+        const s = this.at(k)?.snap;
+        if (!s) return null;
+        return Array.from({ length: s.n }, (_, i) => [s.state[3*i], s.state[3*i+1], s.state[3*i+2]]);
+    }
+}
@@ -5,6 +5,8 @@ import { OrbitControls } from 'three/examples/jsm/controls/OrbitControls.js';
 import { EffectComposer } from 'three/examples/jsm/postprocessing/EffectComposer.js';
 import { RenderPass } from 'three/examples/jsm/postprocessing/RenderPass.js';
 import { UnrealBloomPass } from 'three/examples/jsm/postprocessing/UnrealBloomPass.js';
+import { bodyColor } from './palette.js';
+import { planetIndex, luminosityLsun, effectiveTemperatureK, defaultBodyType } from './physics.js';
 
 const $ = id => document.getElementById(id);
 
@@ -31,12 +33,99 @@ function physicalRadiusAU(m){
     }
 }
 
+// sRGB colour of a blackbody at T kelvin (Tanner Helland's fit, good from 1000 to 40000 K)
+function blackbodyColor(T){
+    const t = Math.min(40000, Math.max(1000, T)) / 100;
+    const r = t <= 66 ? 255 : 329.698727446 * Math.pow(t - 60, -0.1332047592);
+    const g = t <= 66 ? 99.4708025861 * Math.log(t) - 161.1195681661 : 288.1221695283 * Math.pow(t - 60, -0.0755148492);
+    const b = t >= 66 ? 255 : t <= 19 ? 0 : 138.5177312231 * Math.log(t - 10) - 305.0447927307;
+    const c = v => Math.min(255, Math.max(0, v)) / 255;
+    return new THREE.Color().setRGB(c(r), c(g), c(b), THREE.SRGBColorSpace);
+}
+
+// Trail ribbons: every point is two vertices (even = one side, odd = the other) pushed apart
+// in screen space across the direction from the previous point. The slot index (vertex id / 2)
+// gives the point's age, which fades alpha; aValue drives the optional speed/distance ramp.
+const TRAIL_VERT = `
+attribute vec3 aPrev;
+attribute float aValue;
+uniform vec2 uResolution;
+uniform float uWidth, uNewest, uCount;
+varying float vAge, vValue;
+void main(){
+    vec4 a = projectionMatrix * modelViewMatrix * vec4(position, 1.0);
+    vec4 p = projectionMatrix * modelViewMatrix * vec4(aPrev, 1.0);
+    vec2 dir = (a.xy / a.w - p.xy / p.w) * uResolution;
+    dir = p.w > 0.0 && dot(dir, dir) > 1e-8 ? normalize(dir) : vec2(1.0, 0.0);
+    float side = float(gl_VertexID % 2) * 2.0 - 1.0;
+    a.xy += vec2(-dir.y, dir.x) * side * uWidth / uResolution * a.w;
+    gl_Position = a;
+    vAge = (uNewest - float(gl_VertexID / 2)) / max(uCount - 1.0, 1.0);
+    vValue = aValue;
+}`;
+
+const TRAIL_FRAG = `
+uniform vec3 uColor, uRamp[3];
+uniform float uOpacity, uAlpha, uFade;
+uniform int uColorBy;   // 0 body colour, 1 speed, 2 distance to host (near = hot end)
+uniform vec2 uRange;
+varying float vAge, vValue;
+void main(){
+    vec3 c = uColor;
+    if (uColorBy > 0 && vValue > 0.0) {
+        float x = clamp(log(vValue / uRange.x) / log(uRange.y / uRange.x), 0.0, 1.0);
+        if (uColorBy == 2) x = 1.0 - x;
+        c = x < 0.5 ? mix(uRamp[0], uRamp[1], 2.0 * x) : mix(uRamp[1], uRamp[2], 2.0 * x - 1.0);
+    }
+    gl_FragColor = vec4(c, uOpacity * uAlpha * (1.0 - uFade * clamp(vAge, 0.0, 1.0)));
+    #include <tonemapping_fragment>
+    #include <colorspace_fragment>
+}`;
+
+// visual_config.json "trails" keys a preset may leave out
+const TRAIL_DEFAULTS = { width_px: 1.5, opacity: 0.9, fade: 0.85, color_by: 'body', frame: 'inertial',
+                         speed_range: [0.004, 0.04], distance_range: [0.1, 3], ramp: ['#3a6cf4', '#f4f1e8', '#ff5a3c'] };
+const TRAIL_COLOR_BY = ['body', 'speed', 'distance'];
+
+// OrbitControls feel when a preset has no "orbit_controls" block
+const ORBIT_DEFAULTS = { damping: 0.08, rotate_speed: 0.7, zoom_speed: 0.8, pan_speed: 0.5 };
+
+// Overlays: on-screen heights (CSS px) of name tags and the barycentre marker; arrow / ruler colours
+const OVERLAY = { tag_px: 15, marker_px: 18, velocity: 0x66e3ff, accel: 0xff9f43, ruler: 0xffd166 };
+
+// Text on a dark rounded tag, drawn at about twice the size it is shown
+function tagCanvas(text){
+    const c = document.createElement('canvas'), g = c.getContext('2d');
+    const font = '600 26px system-ui, sans-serif';
+    g.font = font;
+    c.width = Math.ceil(g.measureText(text).width) + 20; c.height = 38;
+    g.font = font;   // resizing the canvas resets the context
+    g.fillStyle = 'rgba(8,10,18,0.72)';
+    g.beginPath(); g.roundRect(0, 0, c.width, c.height, 9); g.fill();
+    g.fillStyle = '#e6e8ee'; g.textBaseline = 'middle';
+    g.fillText(text, 10, c.height / 2 + 1);
+    return c;
+}
+
+// Circled cross for the barycentre
+function markerCanvas(){
+    const c = document.createElement('canvas'); c.width = c.height = 64;
+    const g = c.getContext('2d');
+    g.strokeStyle = '#ffffff'; g.lineWidth = 5;
+    g.beginPath();
+    g.arc(32, 32, 20, 0, Math.PI*2);
+    g.moveTo(32, 2); g.lineTo(32, 62); g.moveTo(2, 32); g.lineTo(62, 32);
+    g.stroke();
+    return c;
+}
+
 // The renderer now loads visual_config.json and supports multiple presets.
 export async function setupRenderer() {
     // --- load visual config JSON ---
     const cfg = await fetch('./visual_config.json').then(r => r.json());
     let currentPresetKey = cfg.default_preset || Object.keys(cfg.presets)[0];
     let C = cfg.presets[currentPresetKey];
+    const baseline = structuredClone(cfg.presets);   // what "revert" goes back to
 
     const app = $('app');
     const scene = new THREE.Scene();
@@ -61,6 +150,7 @@ export async function setupRenderer() {
     }
 
     let starTex = makeStarTexture();
+    let starKey = JSON.stringify(C.starfield);       // the texture is only rebuilt when this changes
     const sky = new THREE.Mesh(
         new THREE.SphereGeometry(1000,64,64),
         new THREE.MeshBasicMaterial({ map: starTex, side: THREE.BackSide, depthWrite:false })
@@ -79,46 +169,52 @@ export async function setupRenderer() {
     // --- Controls (initialized from preset) ---
     const controls = new OrbitControls(camera, renderer.domElement);
     controls.enableDamping = true;
-    controls.dampingFactor = C.orbit_controls?.damping ?? 0.08;
-    controls.rotateSpeed   = C.orbit_controls?.rotate_speed ?? 0.7;
-    controls.zoomSpeed     = C.orbit_controls?.zoom_speed ?? 0.8;
-    controls.panSpeed      = C.orbit_controls?.pan_speed ?? 0.5;
+    function applyControls(){
+        const o = { ...ORBIT_DEFAULTS, ...C.orbit_controls };
+        controls.dampingFactor = o.damping;
+        controls.rotateSpeed   = o.rotate_speed;
+        controls.zoomSpeed     = o.zoom_speed;
+        controls.panSpeed      = o.pan_speed;
+    }
+    applyControls();
 
     // --- Lights (intensities from preset) ---
     const ambL  = new THREE.AmbientLight(0xffffff, C.lighting.ambient_intensity); scene.add(ambL);
     const keyL  = new THREE.PointLight(0xffffff, C.lighting.key_light_intensity);  keyL.position.set(10,10,10);   scene.add(keyL);
     const fillL = new THREE.PointLight(0xffffff, C.lighting.fill_light_intensity); fillL.position.set(-10,-10,-5); scene.add(fillL);
 
+    // 'theme': CSS colours, key/fill lights. 'physical': blackbody stars, each one a point light
+    // ∝ its luminosity, and only a faint ambient, so planets have day and night sides.
+    let colorMode = 'theme';
+    function applyLights(){
+        const physical = colorMode === 'physical';
+        ambL.intensity = physical ? (C.lighting.physical_ambient_intensity ?? 0.03) : C.lighting.ambient_intensity;
+        keyL.visible = fillL.visible = !physical;
+    }
+
     // --- Grid helper (subtle) ---
     const grid = new THREE.GridHelper(50,50,0x334,0x224);
     grid.material.opacity = 0.2; grid.material.transparent = true;
     scene.add(grid);
 
-    // --- Theme colors from CSS variables ---
-    const css = getComputedStyle(document.documentElement);
-    const colorVars = [
-        css.getPropertyValue('--c1').trim(),
-        css.getPropertyValue('--c2').trim(),
-        css.getPropertyValue('--c3').trim(),
-        css.getPropertyValue('--c4').trim()
-    ];
-
     // --- Bodies & trails containers ---
-    let bodies = [];   // [{ group, outer, core }]
-    let trails = [];   // [{ line, points }]
+    let bodies = [];   // [{ group, outer, core, light, theme }]
+    let trails = [];   // [{ mesh, pos, prev, val, cap, count, head, whole }] — see writeTrailPoint
+    // trail points are stored relative to the trail frame's origin; this group sits at its current position
+    const trailGroup = new THREE.Group();
+    scene.add(trailGroup);
+
+    let effects = [];  // transient animations: [{ start, dur, update(k), dispose() }]
+    let bodyMasses = [];  // for the barycentre camera
+    let bodyStars = [];   // per body: drawn as a star in the blackbody colour mode
 
     function clearBodies() {
         for (const b of bodies) scene.remove(b.group);
-        for (const t of trails) scene.remove(t.line);
+        for (const t of trails) { trailGroup.remove(t.mesh); t.mesh.geometry.dispose(); t.mesh.material.dispose(); }
+        for (const fx of effects) fx.dispose();
         bodies = [];
         trails = [];
-    }
-
-    // Choose "planet" as the smallest-mass body (for opacity/material)
-    function planetIndex(masses){
-        let idx = 0, min = masses[0];
-        for (let i=1;i<masses.length;i++) if (masses[i] < min){ min = masses[i]; idx = i; }
-        return idx;
+        effects = [];
     }
 
     // --- Scaling helpers from preset C ---
@@ -153,7 +249,8 @@ export async function setupRenderer() {
         const coreGeo  = new THREE.SphereGeometry(1, 32, 32);
 
         for (let i=0;i<n;i++){
-            const baseColor = new THREE.Color(colorVars[i % colorVars.length] || '#ffffff');
+            // theme colour from CSS variables (generated beyond --c4), same as the legend chips
+            const baseColor = new THREE.Color(bodyColor(i));
 
             // star/planet outer material (tuned per-type in setMasses)
             const outerMat = new THREE.MeshPhysicalMaterial({
@@ -180,26 +277,35 @@ export async function setupRenderer() {
             });
             const core = new THREE.Mesh(coreGeo, coreMat);
 
+            // the star's own light (physical colour mode only); decay 2 with scene units in AU,
+            // so the intensity is the irradiance at 1 AU
+            const light = new THREE.PointLight(0xffffff, 0, 0, 2);
+            light.visible = false;
+
             const group = new THREE.Group();
             group.add(outer);
             group.add(core);
+            group.add(light);
             scene.add(group);
 
-            // trail
-            const geom = new THREE.BufferGeometry();
-            const seed = new Float32Array([0,0,0]);
-            geom.setAttribute('position', new THREE.BufferAttribute(seed,3));
-            const lmat = new THREE.LineBasicMaterial({ color: baseColor, transparent:true, opacity:0.9 });
-            const line = new THREE.Line(geom,lmat);
-            scene.add(line);
+            // trail (capacity grows to the HUD's trail length on the first updateTrail)
+            const mesh = new THREE.Mesh(new THREE.BufferGeometry(), makeTrailMaterial(baseColor));
+            mesh.frustumCulled = false;   // bounds change every frame
+            trailGroup.add(mesh);
 
-            bodies.push({ group, outer, core });
-            trails.push({ line, points: Array.from(seed) });
+            const trail = { mesh, pos: null, prev: null, val: null, cap: 0, count: 0, head: 0, whole: true };
+            allocTrail(trail, 1);
+            bodies.push({ group, outer, core, light, theme: baseColor });
+            trails.push(trail);
         }
+        if (cam.mode !== 'free') setCameraMode(cam.mode);   // re-check indices, re-hide the eye's body
     }
 
-    function setMasses(masses){
-        const pIdx = planetIndex(masses);
+    // isStar: the body types the app uses (per index); without it, stars are inferred from mass
+    function setMasses(masses, isStar){
+        bodyMasses = Array.from(masses);
+        bodyStars = isStar ? Array.from(isStar) : bodyMasses.map(m => defaultBodyType(m) === 'star');
+        const pIdx = planetIndex(masses);   // smallest mass = "the planet" (opacity/material)
         for (let i=0;i<masses.length;i++){
             const m = masses[i];
             const isPlanet = (i === pIdx);
@@ -239,35 +345,378 @@ export async function setupRenderer() {
                 bodies[i].core.material.metalness = C.materials.cores.metalness;
                 bodies[i].core.material.emissiveIntensity = C.materials.cores.emissive_intensity;
             }
+            applyLook(i, m, isPlanet, bodyStars[i]);
         }
     }
 
+    // Colour and light of body i for the colour mode. In 'physical', bodies of stellar mass take
+    // their blackbody colour and a light; the planet loses its glow so its night side is dark.
+    function applyLook(i, m, isPlanet, isStar){
+        const b = bodies[i], physical = colorMode === 'physical';
+        const star = physical && !isPlanet && isStar;
+        const color = star ? blackbodyColor(effectiveTemperatureK(m)) : b.theme;
+        for (const mat of [b.outer.material, b.core.material]) mat.color.copy(color);
+        trails[i].mesh.material.uniforms.uColor.value.copy(color);
+        b.outer.material.emissive.copy(color);
+        b.core.material.emissive.copy(color);
+        b.light.visible = star;
+        b.light.color.copy(color);
+        b.light.intensity = star ? (C.lighting.star_light_intensity ?? 3) * luminosityLsun(m) : 0;
+        if (physical && isPlanet) b.outer.material.emissiveIntensity = 0;
+    }
+
+    function setColorMode(mode){
+        colorMode = mode === 'physical' ? 'physical' : 'theme';
+        applyLights();
+        if (bodies.length) setMasses(bodyMasses, bodyStars);
+    }
+
+    // CSS colour of each body as drawn (for the legend)
+    function getBodyColors(){
+        return bodies.map(b => '#' + b.outer.material.color.getHexString());
+    }
+
     function setPositions(pos){
         for (let i=0;i<pos.length;i++)
             bodies[i].group.position.set(pos[i][0], pos[i][1], pos[i][2]);
     }
 
-    function resetTrails(pos){
+    // --- Trails: ribbons over circular buffers stored twice over (slot k and k+cap), so the newest
+    // `count` points are always one contiguous run of slots ending at head+cap. Adding a point writes
+    // two slots and moves the draw range; nothing is reallocated unless the capacity changes.
+    // Each slot holds the point (twice, one vertex per ribbon side), the point before it and its colour value.
+    const trailShared = {   // uniforms common to every trail material (same objects, so set once)
+        uResolution: { value: new THREE.Vector2(1, 1) }, uWidth: { value: 1 }, uOpacity: { value: 0.9 },
+        uFade: { value: 0 }, uColorBy: { value: 0 }, uRange: { value: new THREE.Vector2(1, 10) },
+        uRamp: { value: [new THREE.Color(), new THREE.Color(), new THREE.Color()] },
+    };
+    let trailStyle = { ...TRAIL_DEFAULTS };
+    let trailColorBy = null;   // HUD choice; null = the preset's color_by
+
+    function makeTrailMaterial(color){
+        return new THREE.ShaderMaterial({
+            uniforms: { ...trailShared, uColor: { value: color.clone() }, uAlpha: { value: 1 }, uNewest: { value: 0 }, uCount: { value: 0 } },
+            vertexShader: TRAIL_VERT, fragmentShader: TRAIL_FRAG,
+            transparent: true, depthWrite: false, side: THREE.DoubleSide
+        });
+    }
+
+    function applyTrailStyle(){
+        trailStyle = { ...TRAIL_DEFAULTS, ...C.trails };
+        if (trailColorBy) trailStyle.color_by = trailColorBy;
+        const by = Math.max(0, TRAIL_COLOR_BY.indexOf(trailStyle.color_by));
+        trailShared.uOpacity.value = trailStyle.opacity;
+        trailShared.uFade.value = trailStyle.fade;
+        trailShared.uColorBy.value = by;
+        trailShared.uRange.value.fromArray(by === 2 ? trailStyle.distance_range : trailStyle.speed_range);
+        trailStyle.ramp.forEach((c, k) => trailShared.uRamp.value[k].set(c));
+    }
+    applyTrailStyle();
+
+    /** Colour trails by 'body', 'speed' or 'distance' (to the host star); null = the preset's choice. */
+    function setTrailColorBy(by){
+        trailColorBy = TRAIL_COLOR_BY.includes(by) ? by : null;
+        applyTrailStyle();
+    }
+
+    // style in effect: visual_config.json "trails" keys, with the HUD's colour choice applied
+    function getTrailStyle(){ return { ...trailStyle }; }
+
+    // Current origin of the trail frame: stored points are relative to it
+    function setTrailOrigin(x, y, z){ trailGroup.position.set(x, y, z); }
+
+    // --- Overlays: name tags, velocity / acceleration arrows, barycentre marker, distance ruler.
+    // Scene objects rather than HTML, so captures include them. Tags and the marker are sprites
+    // without size attenuation, scaled in updateOverlays() to a fixed height on screen.
+    const overlayGroup = new THREE.Group();
+    scene.add(overlayGroup);
+    const overlayOn = { labels: false, velocity: false, accel: false, barycentre: false, ruler: false };
+    const overlayItems = [];   // per body index: { label, text, vel, acc }
+
+    function setSpriteCanvas(sprite, canvas){
+        sprite.material.map?.dispose();
+        sprite.material.map = new THREE.CanvasTexture(canvas);
+        sprite.material.map.colorSpace = THREE.SRGBColorSpace;
+        sprite.material.needsUpdate = true;
+        sprite.userData.aspect = canvas.width / canvas.height;
+    }
+
+    function makeSprite(cx, cy){
+        const sprite = new THREE.Sprite(new THREE.SpriteMaterial({ depthTest: false, depthWrite: false, sizeAttenuation: false }));
+        sprite.center.set(cx, cy);
+        sprite.renderOrder = 10;
+        sprite.visible = false;
+        overlayGroup.add(sprite);
+        return sprite;
+    }
+
+    function makeArrow(color){
+        const arrow = new THREE.ArrowHelper(new THREE.Vector3(1,0,0), new THREE.Vector3(), 1, color);
+        arrow.visible = false;
+        arrow.userData.len = 0;
+        overlayGroup.add(arrow);
+        return arrow;
+    }
+
+    // tag sits just above the body's centre
+    const overlayItem = i => overlayItems[i] ??= { label: makeSprite(0.5, -0.35), text: '', vel: makeArrow(OVERLAY.velocity), acc: makeArrow(OVERLAY.accel) };
+
+    // Drop the overlay objects of bodies n and up (ArrowHelper geometries are shared: materials only)
+    function trimOverlays(n){
+        for (const it of overlayItems.splice(n)) {
+            overlayGroup.remove(it.label, it.vel, it.acc);
+            it.label.material.map?.dispose(); it.label.material.dispose();
+            for (const a of [it.vel, it.acc]) { a.line.material.dispose(); a.cone.material.dispose(); }
+        }
+    }
+
+    const cmMarker = makeSprite(0.5, 0.5);
+    setSpriteCanvas(cmMarker, markerCanvas());
+    const rulerLine = new THREE.Line(
+        new THREE.BufferGeometry().setAttribute('position', new THREE.Float32BufferAttribute(new Float32Array(6), 3)),
+        new THREE.LineBasicMaterial({ color: OVERLAY.ruler, transparent: true, opacity: 0.85, depthTest: false }));
+    rulerLine.frustumCulled = false; rulerLine.renderOrder = 9; rulerLine.visible = false;
+    overlayGroup.add(rulerLine);
+    const rulerTag = makeSprite(0.5, -0.3);
+    let rulerEnds = null, rulerText = '';
+
+    /** Show or hide one overlay: 'labels' | 'velocity' | 'accel' | 'barycentre' | 'ruler'. */
+    function setOverlay(kind, on){
+        if (kind in overlayOn) overlayOn[kind] = !!on;
+    }
+    function getOverlays(){ return { ...overlayOn }; }
+
+    // Name per body (engine order); a tag is only redrawn when its text changes
+    function setLabels(texts){
+        trimOverlays(texts.length);
+        texts.forEach((text, i) => {
+            const it = overlayItem(i);
+            if (it.text !== text) { it.text = text; setSpriteCanvas(it.label, tagCanvas(text)); }
+        });
+    }
+
+    const _arrowDir = new THREE.Vector3();
+    /** Arrows from each body's centre: 'velocity' or 'accel', v = [x,y,z per body] in AU, already scaled. */
+    function setVectors(kind, v){
+        const n = v.length / 3;
+        trimOverlays(n);
+        for (let i=0;i<n;i++) {
+            const arrow = overlayItem(i)[kind === 'accel' ? 'acc' : 'vel'];
+            const len = _arrowDir.set(v[3*i], v[3*i+1], v[3*i+2]).length();
+            arrow.userData.len = len;
+            if (len > 0) { arrow.setDirection(_arrowDir.divideScalar(len)); arrow.setLength(len, 0.2*len, 0.08*len); }
+        }
+    }
+
+    function setBarycentre(x, y, z){ cmMarker.position.set(x, y, z); }
+
+    // Ruler between bodies a and b (engine indices) with its readout; a = null removes it
+    function setRuler(a, b, text = ''){
+        rulerEnds = a == null ? null : [a, b];
+        if (text !== rulerText) { rulerText = text; setSpriteCanvas(rulerTag, tagCanvas(text)); }
+    }
+
+    // Follow the bodies and keep tags a fixed size on screen: at distance d a sprite of scale s spans
+    // s / (2 tan(fov/2)) of the viewport height, so captures at any size look like the window
+    function updateOverlays(){
+        const unit = 2 * Math.tan(THREE.MathUtils.degToRad(camera.fov) / 2) / innerHeight;
+        const size = (sprite, px) => sprite.scale.set(px * unit * (sprite.userData.aspect ?? 1), px * unit, 1);
+        overlayItems.forEach((it, i) => {
+            const b = bodies[i];
+            it.label.visible = overlayOn.labels && !!b && it.text !== '';
+            it.vel.visible = overlayOn.velocity && !!b && it.vel.userData.len > 0;
+            it.acc.visible = overlayOn.accel && !!b && it.acc.userData.len > 0;
+            if (!b) return;
+            it.label.position.copy(b.group.position);
+            it.vel.position.copy(b.group.position);
+            it.acc.position.copy(b.group.position);
+            size(it.label, OVERLAY.tag_px);
+        });
+        cmMarker.visible = overlayOn.barycentre;
+        size(cmMarker, OVERLAY.marker_px);
+        const p = bodies[rulerEnds?.[0]]?.group.position, q = bodies[rulerEnds?.[1]]?.group.position;
+        rulerLine.visible = rulerTag.visible = overlayOn.ruler && !!p && !!q && p !== q;
+        if (!rulerLine.visible) return;
+        const attr = rulerLine.geometry.attributes.position;
+        attr.setXYZ(0, p.x, p.y, p.z); attr.setXYZ(1, q.x, q.y, q.z); attr.needsUpdate = true;
+        rulerTag.position.lerpVectors(p, q, 0.5);
+        size(rulerTag, OVERLAY.tag_px);
+    }
+
+    // Triangles joining slot p to p+1 for every p. Trails of a capacity share the array, but each
+    // geometry gets its own attribute: disposing a geometry deletes its index's GL buffer.
+    let ribbonIndex = null;
+    function ribbonIndexFor(cap){
+        if (ribbonIndex?.cap !== cap) {
+            const idx = new Uint32Array(6*(2*cap - 1));
+            for (let p=0;p<2*cap-1;p++) idx.set([2*p, 2*p+1, 2*p+2, 2*p+1, 2*p+3, 2*p+2], 6*p);
+            ribbonIndex = { cap, idx };
+        }
+        return new THREE.BufferAttribute(ribbonIndex.idx, 1);
+    }
+
+    function allocTrail(t, cap){
+        const oldCap = t.cap, keep = Math.min(t.count, cap);
+        const pos = new Float32Array(12*cap), prev = new Float32Array(12*cap), val = new Float32Array(4*cap);
+        for (let k=0;k<keep;k++){   // carry over the newest points, oldest first
+            const src = (t.head - keep + k + oldCap) % oldCap;
+            for (let dst = k; dst < 2*cap; dst += cap){
+                pos.set(t.pos.subarray(6*src, 6*src+6), 6*dst);
+                prev.set(t.prev.subarray(6*src, 6*src+6), 6*dst);
+                val.set(t.val.subarray(2*src, 2*src+2), 2*dst);
+            }
+        }
+        const dynamic = (a, size) => new THREE.BufferAttribute(a, size).setUsage(THREE.DynamicDrawUsage);
+        const geom = new THREE.BufferGeometry()
+            .setAttribute('position', dynamic(pos, 3).onUpload(() => { t.whole = false; }))
+            .setAttribute('aPrev', dynamic(prev, 3))
+            .setAttribute('aValue', dynamic(val, 1))
+            .setIndex(ribbonIndexFor(cap));
+        t.mesh.geometry.dispose();
+        t.mesh.geometry = geom;
+        Object.assign(t, { pos, prev, val, cap, count: keep, head: keep % cap, whole: true });
+        setTrailRange(t);
+    }
+
+    // Draw the segments between the oldest and the newest point; tell the shader their slots
+    function setTrailRange(t){
+        const newest = t.head + t.cap - 1, u = t.mesh.material.uniforms;
+        t.mesh.geometry.setDrawRange(6*(newest - t.count + 1), 6*Math.max(0, t.count - 1));
+        u.uNewest.value = newest;
+        u.uCount.value = t.count;
+    }
+
+    function writeTrailPoint(t, x, y, z, v){
+        const k = t.head, cap = t.cap, P = t.pos, Q = t.prev;
+        const last = 6*((k + cap - 1) % cap), first = t.count === 0;
+        const px = first ? x : P[last], py = first ? y : P[last+1], pz = first ? z : P[last+2];
+        for (let s = k; s < 2*cap; s += cap){
+            const o = 6*s;
+            P[o] = P[o+3] = x; P[o+1] = P[o+4] = y; P[o+2] = P[o+5] = z;
+            Q[o] = Q[o+3] = px; Q[o+1] = Q[o+4] = py; Q[o+2] = Q[o+5] = pz;
+            t.val[2*s] = t.val[2*s+1] = v;
+        }
+        t.head = (k + 1) % cap;
+        if (t.count < cap) t.count++;
+        setTrailRange(t);
+        const a = t.mesh.geometry.attributes;
+        // many pending ranges (trail not drawn for a while): cheaper to upload it all
+        if (a.position.updateRanges.length > 64) uploadWholeTrail(t);
+        else if (!t.whole) for (let s = k; s < 2*cap; s += cap){
+            a.position.addUpdateRange(6*s, 6); a.aPrev.addUpdateRange(6*s, 6); a.aValue.addUpdateRange(2*s, 2);
+        }
+        a.position.needsUpdate = a.aPrev.needsUpdate = a.aValue.needsUpdate = true;
+    }
+
+    // No update ranges = whole buffer; keep it that way until that upload has happened
+    function uploadWholeTrail(t){
+        const a = t.mesh.geometry.attributes;
+        for (const attr of [a.position, a.aPrev, a.aValue]){ attr.clearUpdateRanges(); attr.needsUpdate = true; }
+        t.whole = true;
+    }
+
+    // pos: frame-relative positions; values: colour values per body (omitted: none)
+    function resetTrails(pos, values){
         for(let i=0;i<pos.length;i++){
-            trails[i].points = [pos[i][0], pos[i][1], pos[i][2]];
-            trails[i].line.geometry.setAttribute('position', new THREE.Float32BufferAttribute(trails[i].points,3));
+            const t = trails[i];
+            t.count = 0; t.head = 0;
+            writeTrailPoint(t, pos[i][0], pos[i][1], pos[i][2], values?.[i] ?? -1);
         }
     }
 
-    function updateTrail(i,x,y,z,maxLen){
+    // Replace body i's whole trail at once (flat [x,y,z,…], frame-relative, with one colour value
+    // per point if given), e.g. when scrubbing a recording or switching frames
+    function setTrail(i, points, values){
+        const t = trails[i];
+        if (!t) return;
+        const n = points.length / 3;
+        if (n > t.cap) allocTrail(t, n);
+        t.count = 0; t.head = 0;
+        for (let k=0;k<n;k++) writeTrailPoint(t, points[3*k], points[3*k+1], points[3*k+2], values?.[k] ?? -1);
+        if (!n) setTrailRange(t);
+        uploadWholeTrail(t);
+    }
+
+    // x,y,z relative to the trail frame's origin; value: speed / distance for the colour ramp (-1: none)
+    function updateTrail(i,x,y,z,maxLen,value=-1){
         const t = trails[i];
-        t.points.push(x,y,z);
-        if (t.points.length/3 > maxLen) t.points.splice(0,3);
-        t.line.geometry.setAttribute('position', new THREE.Float32BufferAttribute(t.points,3));
+        const cap = Math.max(1, maxLen | 0);
+        if (t.cap !== cap) allocTrail(t, cap);
+        writeTrailPoint(t, x, y, z, value);
+    }
+
+    // --- Merge animation: j spirals into i, i flashes; j is removed from the arrays immediately ---
+    // (so renderer indices keep matching the engine's after NBodySystem.mergeBodies)
+    const flashGeo = new THREE.SphereGeometry(1, 24, 24);
+    function mergeBodies(i, j){
+        const keep = bodies[i], gone = bodies[j], goneTrail = trails[j];
+        if (!keep || !gone) return;
+        bodies.splice(j, 1);
+        trails.splice(j, 1);
+        remapCameraAfterMerge(i, j);
+
+        const now = performance.now();
+        const from = gone.group.position.clone();
+        const fromScale = gone.group.scale.clone();
+        effects.push({
+            start: now, dur: 600,
+            update(k){
+                const e = k*k;  // ease-in: accelerate into the survivor
+                gone.group.position.lerpVectors(from, keep.group.position, e);
+                gone.group.scale.copy(fromScale).multiplyScalar(1 - e);
+                goneTrail.mesh.material.uniforms.uAlpha.value = 1 - k;
+            },
+            dispose(){
+                scene.remove(gone.group);
+                trailGroup.remove(goneTrail.mesh);
+                goneTrail.mesh.geometry.dispose();
+                goneTrail.mesh.material.dispose();
+            }
+        });
+
+        const color = keep.outer.material.color.clone().lerp(gone.outer.material.color, 0.5);
+        const flash = new THREE.Mesh(flashGeo, new THREE.MeshBasicMaterial({
+            color, transparent:true, opacity:0.9, blending:THREE.AdditiveBlending, depthWrite:false
+        }));
+        const r0 = Math.max(keep.outer.scale.x, keep.core.visible ? keep.core.scale.x : 0);
+        keep.group.add(flash);
+        effects.push({
+            start: now, dur: 900,
+            update(k){
+                flash.scale.setScalar(r0 * (1 + 2.5*k));
+                flash.material.opacity = 0.9 * (1 - k);
+            },
+            dispose(){
+                keep.group.remove(flash);
+                flash.material.dispose();
+            }
+        });
+    }
+
+    function updateEffects(now){
+        effects = effects.filter(fx => {
+            const k = Math.min(1, Math.max(0, (now - fx.start) / fx.dur));
+            fx.update(k);
+            if (k >= 1) { fx.dispose(); return false; }
+            return true;
+        });
     }
 
     // --- Resize & post-processing ---
-    addEventListener('resize', ()=>{
-        camera.aspect = innerWidth/innerHeight;
+    // While capturing, the drawing buffer has a fixed size (outputSize) that ignores the window;
+    // the canvas keeps its on-screen CSS size, so the preview may look stretched meanwhile.
+    let outputSize = null;   // { width, height } or null = follow the window
+    function applySize(){
+        const w = outputSize?.width ?? innerWidth, h = outputSize?.height ?? innerHeight;
+        const ratio = outputSize ? 1 : Math.min(devicePixelRatio,2);
+        camera.aspect = w/h;
         camera.updateProjectionMatrix();
-        renderer.setSize(innerWidth, innerHeight);
-        composer.setSize(innerWidth, innerHeight);
-    });
+        renderer.setPixelRatio(ratio);
+        renderer.setSize(w, h, !outputSize);
+        composer.setPixelRatio(ratio);
+        composer.setSize(w, h);   // also resizes the bloom pass's render targets
+    }
+    addEventListener('resize', ()=>{ if (!outputSize) applySize(); });
 
     const composer = new EffectComposer(renderer);
     composer.addPass(new RenderPass(scene, camera));
@@ -279,22 +728,141 @@ export async function setupRenderer() {
     );
     composer.addPass(bloom);
 
+    // --- Camera modes ---
+    // 'free' (plain OrbitControls), 'barycentre', 'follow' (a body), 'corotate' (a pair, turning
+    // with it) and 'planet' (eye at a body, looking out). Each mode has an anchor point; every
+    // frame the camera and the orbit target move by the anchor's change, so the user's own
+    // rotate/zoom around it is kept. Switching blends from the last anchor to the new one.
+    const CAM_BLEND_MS = 900;
+    const EYE_DIST = 1e-3;   // planet view: orbit radius around the body's centre (AU)
+    let cam = { mode: 'free', body: 0, pair: [0, 1] };
+    let camPrev = null;      // anchor applied last frame
+    let camAxis = null;      // corotate: pair direction last frame
+    let camBlend = null;     // { from, start, distFrom?, distTo? }
+    let camReturnDist = 18;  // orbit distance to restore when leaving the planet view
+
+    const validBody = i => Number.isInteger(i) && i >= 0 && i < bodies.length;
+
+    function camAnchor(){
+        const P = i => bodies[i].group.position;
+        switch (cam.mode) {
+        case 'barycentre': {
+            const a = new THREE.Vector3(); let M = 0;
+            bodies.forEach((b, i) => { const m = bodyMasses[i] ?? 0; a.addScaledVector(b.group.position, m); M += m; });
+            return M > 0 ? a.divideScalar(M) : a;
+        }
+        case 'follow': case 'planet': return P(cam.body).clone();
+        case 'corotate': {
+            const [i, j] = cam.pair, mi = bodyMasses[i] ?? 1, mj = bodyMasses[j] ?? 1;
+            return P(i).clone().multiplyScalar(mi).addScaledVector(P(j), mj).divideScalar(mi + mj);
+        }
+        default: return null;
+        }
+    }
+
+    /** Switch camera mode; body / pair are renderer (= engine) indices. Invalid choices fall back to the barycentre. */
+    function setCameraMode(mode, { body = cam.body, pair = cam.pair } = {}){
+        const next = { mode, body, pair: pair.slice() };
+        if ((mode === 'follow' || mode === 'planet') && !validBody(body)) next.mode = 'barycentre';
+        if (mode === 'corotate' && !(validBody(pair[0]) && validBody(pair[1]) && pair[0] !== pair[1])) next.mode = 'barycentre';
+        const dist = camera.position.distanceTo(controls.target);
+        camBlend = { from: (camPrev ?? controls.target).clone(), start: performance.now() };
+        if (next.mode === 'planet' && cam.mode !== 'planet') { camReturnDist = dist; Object.assign(camBlend, { distFrom: dist, distTo: EYE_DIST }); }
+        if (next.mode !== 'planet' && cam.mode === 'planet') Object.assign(camBlend, { distFrom: dist, distTo: camReturnDist });
+        cam = next;
+        camAxis = null;
+        controls.enablePan = controls.enableZoom = cam.mode !== 'planet';
+        // the eye's own body (and its trail, which would start at the lens) is hidden
+        bodies.forEach((b, i) => { b.group.visible = trails[i].mesh.visible = !(cam.mode === 'planet' && i === cam.body); });
+    }
+
+    function getCameraMode(){ return { ...cam, pair: cam.pair.slice() }; }
+
+    // Keep the chosen indices pointing at the same bodies after j is merged into i
+    function remapCameraAfterMerge(i, j){
+        const map = k => k === j ? (j < i ? i - 1 : i) : k > j ? k - 1 : k;
+        const pair = cam.pair.map(map);
+        if (cam.mode === 'corotate' && pair[0] === pair[1]) setCameraMode('barycentre');
+        else { cam.body = map(cam.body); cam.pair = pair; }
+    }
+
+    function updateCamera(now){
+        if (cam.mode === 'free' && !camBlend) { camPrev = null; controls.update(); return; }
+        let a = camAnchor(), e = 1;
+        if (camBlend) {
+            const k = Math.min(1, (now - camBlend.start) / CAM_BLEND_MS);
+            e = k*k*(3 - 2*k);   // smoothstep
+            a = a ? camBlend.from.clone().lerp(a, e) : camBlend.from;
+        }
+        if (a) {
+            if (camPrev) {
+                const d = a.clone().sub(camPrev);
+                camera.position.add(d); controls.target.add(d);
+            } else controls.target.copy(a);
+            camPrev = a;
+        } else camPrev = null;
+
+        const offset = camera.position.clone().sub(controls.target);
+        if (cam.mode === 'corotate') {
+            const [i, j] = cam.pair;
+            const axis = bodies[j].group.position.clone().sub(bodies[i].group.position);
+            if (axis.lengthSq() > 0) {
+                axis.normalize();
+                if (camAxis) offset.applyQuaternion(new THREE.Quaternion().setFromUnitVectors(camAxis, axis));
+                camAxis = axis;
+            }
+        }
+        if (camBlend?.distTo !== undefined) offset.setLength(camBlend.distFrom + (camBlend.distTo - camBlend.distFrom) * e);
+        camera.position.copy(controls.target).add(offset);
+        if (e >= 1) camBlend = null;
+        controls.update();
+    }
+
     function render(){
+        updateCamera(performance.now());
+        // ribbon width in drawing-buffer pixels, scaled with the output so captures match the screen
+        renderer.getDrawingBufferSize(trailShared.uResolution.value);
+        trailShared.uWidth.value = trailStyle.width_px * (trailShared.uResolution.value.y / innerHeight || 1);
         // keep sky centered so it rotates with camera without parallax
         sky.position.copy(camera.position);
+        if (effects.length) updateEffects(performance.now());
+        updateOverlays();
         composer.render();
     }
 
+    // --- Capture ---
+    /** Fix the drawing buffer at width×height device pixels (null: back to the window size). */
+    function setOutputSize(size){
+        outputSize = size ? { width: Math.round(size.width), height: Math.round(size.height) } : null;
+        applySize();
+    }
+
+    /**
+     * Render one frame at width×height, independent of the window, through every composer pass,
+     * and return it as a PNG. The previous output size is restored before the promise resolves.
+     */
+    function renderStill(width, height){
+        const prev = outputSize;
+        setOutputSize({ width, height });
+        render();
+        // toBlob copies the bitmap now, so the size can be put back straight away
+        const blob = new Promise((res, rej) =>
+            renderer.domElement.toBlob(b => b ? res(b) : rej(new Error('still capture failed')), 'image/png'));
+        setOutputSize(prev);
+        render();
+        return blob;
+    }
+
     // --- Hot-swap visual preset at runtime (HUD calls this) ---
     function setVisualPreset(name){
         if (!cfg.presets[name]) return;
         currentPresetKey = name;
         C = cfg.presets[name];
 
-        // Lights
-        ambL.intensity  = C.lighting.ambient_intensity;
+        // Lights (ambient is set by applyLights)
         keyL.intensity  = C.lighting.key_light_intensity;
         fillL.intensity = C.lighting.fill_light_intensity;
+        applyLights();
 
         // Bloom
         bloom.strength  = C.lighting.bloom_strength;
@@ -302,17 +870,20 @@ export async function setupRenderer() {
         bloom.threshold = C.lighting.bloom_threshold;
 
         // Controls feel
-        controls.dampingFactor = C.orbit_controls?.damping ?? controls.dampingFactor;
-        controls.rotateSpeed   = C.orbit_controls?.rotate_speed ?? controls.rotateSpeed;
-        controls.zoomSpeed     = C.orbit_controls?.zoom_speed ?? controls.zoomSpeed;
-        controls.panSpeed      = C.orbit_controls?.pan_speed ?? controls.panSpeed;
+        applyControls();
+
+        // Trails (a HUD colour choice stays until setTrailColorBy(null))
+        applyTrailStyle();
 
         // Starfield
-        const newTex = makeStarTexture();
-        if (starTex && starTex.dispose) starTex.dispose();
-        starTex = newTex;
-        sky.material.map = starTex;
-        sky.material.needsUpdate = true;
+        const key = JSON.stringify(C.starfield);
+        if (key !== starKey) {
+            const newTex = makeStarTexture();
+            if (starTex && starTex.dispose) starTex.dispose();
+            starTex = newTex; starKey = key;
+            sky.material.map = starTex;
+            sky.material.needsUpdate = true;
+        }
 
         // Shell/core sizes & materials are updated by caller via setMasses(currentMasses)
     }
@@ -321,12 +892,54 @@ export async function setupRenderer() {
         return { presets: cfg.presets, defaultKey: currentPresetKey };
     }
 
+    // --- Editing presets (the HUD's visual editor). Callers validate first. ---
+    /** Copy of a preset's settings (default: the current one). */
+    function getPresetConfig(key = currentPresetKey){
+        return cfg.presets[key] ? structuredClone(cfg.presets[key]) : null;
+    }
+
+    // Replace a preset's settings; re-apply with setVisualPreset + setMasses to see them
+    function setPresetConfig(key, preset){
+        cfg.presets[key] = structuredClone(preset);
+        if (key === currentPresetKey) C = cfg.presets[key];
+    }
+
+    // A new preset (e.g. one saved in the browser): also becomes its own revert point
+    function addVisualPreset(key, preset){
+        setPresetConfig(key, preset);
+        baseline[key] = structuredClone(preset);
+    }
+
+    // Back to the preset as loaded or added; false if there is nothing to go back to
+    function revertVisualPreset(key = currentPresetKey){
+        if (!baseline[key]) return false;
+        setPresetConfig(key, baseline[key]);
+        return true;
+    }
+
+    /** visual_config.json as it stands now, with the current preset as the default. */
+    function exportVisualConfig(){
+        return JSON.stringify({ ...cfg, default_preset: currentPresetKey }, null, 2);
+    }
+
     return {
         // lifecycle & drawing
-        createBodies, setMasses, setPositions, resetTrails, updateTrail, render,
+        createBodies, setMasses, setPositions, resetTrails, setTrail, updateTrail, mergeBodies, render,
+        // camera modes
+        setCameraMode, getCameraMode,
+        // colours & lights
+        setColorMode, getBodyColors,
+        // trail style & reference frame
+        setTrailColorBy, getTrailStyle, setTrailOrigin,
+        // overlays
+        setOverlay, getOverlays, setLabels, setVectors, setBarycentre, setRuler,
+        // capture
+        get canvas(){ return renderer.domElement; }, maxOutputSize: renderer.capabilities.maxTextureSize,
+        setOutputSize, renderStill,
         // expose groups so existing code/tests reading .position keep working
         get bodies(){ return bodies.map(b => b.group); },
         // visual config control
-        setVisualPreset, getVisualConfig
+        setVisualPreset, getVisualConfig, getPresetConfig, setPresetConfig, addVisualPreset, revertVisualPreset,
+        exportVisualConfig
     };
 }
\ No newline at end of file
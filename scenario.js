@@ -0,0 +1,231 @@
+// scenario.js — versioned scenario files: build, validate, migrate and unit-convert
+// (the format is documented in README.md). No DOM here, so the same checks can run anywhere.
+import { INTEGRATORS, defaultBodyType } from './physics.js';
+
+export const SCENARIO_FORMAT = 'nbody-scenario';
+export const SCENARIO_VERSION = '1.0';
+
+// Unit factors to the internal AU / day / M☉ system
+export const UNITS = {
+    length: { AU: 1, km: 1 / 1.495978707e8, m: 1 / 1.495978707e11 },
+    time:   { day: 1, s: 1 / 86400, h: 1 / 24, yr: 365.25 },
+    mass:   { Msun: 1, kg: 1 / 1.98847e30, Mearth: 3.003e-6, Mjup: 9.54588e-4 },
+};
+
+const isNum = x => typeof x === 'number' && Number.isFinite(x);
+const show = x => x === undefined ? 'undefined' : JSON.stringify(x);
+
+function checkVectors(name, arr, n, issues) {
+    if (!Array.isArray(arr)) { issues.push(`${name} must be an array of [x, y, z] triplets (got ${show(arr)})`); return; }
+    if (arr.length !== n) issues.push(`${name} has ${arr.length} entries but masses has ${n}`);
+    arr.forEach((v, i) => {
+        if (!Array.isArray(v) || v.length !== 3) { issues.push(`${name}[${i}] must be an array of 3 numbers (got ${show(v)})`); return; }
+        v.forEach((x, c) => { if (!isNum(x)) issues.push(`${name}[${i}][${c}] is not a finite number (got ${show(x)})`); });
+    });
+}
+
+/**
+ * Parse and validate init JSON as produced by buildInitJSON:
+ *   { masses: number[], pos: [x,y,z][], vel: [x,y,z][], softening?: number }
+ * Throws an Error whose message lists every problem found (also on err.issues).
+ * @param {string} text
+ * @returns {{masses:number[], pos:number[][], vel:number[][], softening?:number}}
+ */
+export function parseInitJSON(text) {
+    let obj;
+    try { obj = JSON.parse(text); }
+    catch (e) { throw Object.assign(new Error(`Not valid JSON: ${e.message}`), { issues: [e.message] }); }
+    return validateInit(obj);
+}
+
+export function validateInit(obj) {
+    const issues = [];
+    if (!obj || typeof obj !== 'object' || Array.isArray(obj)) {
+        issues.push('expected an object with "masses", "pos" and "vel"');
+    } else {
+        const { masses, pos, vel, softening } = obj;
+        if (!Array.isArray(masses) || masses.length === 0) {
+            issues.push(`masses must be a non-empty array of numbers (got ${show(masses)})`);
+        } else {
+            if (masses.length < 2) issues.push('need at least 2 bodies');
+            masses.forEach((m, i) => {
+                if (!isNum(m)) issues.push(`masses[${i}] is not a finite number (got ${show(m)})`);
+                else if (m <= 0) issues.push(`masses[${i}] must be > 0 (got ${m})`);
+            });
+            checkVectors('pos', pos, masses.length, issues);
+            checkVectors('vel', vel, masses.length, issues);
+        }
+        if (softening !== undefined && !(isNum(softening) && softening >= 0))
+            issues.push(`softening must be a finite number ≥ 0 (got ${show(softening)})`);
+    }
+    if (issues.length) {
+        const shown = issues.slice(0, 6).join('; ') + (issues.length > 6 ? `; … ${issues.length - 6} more` : '');
+        throw Object.assign(new Error(`Invalid init JSON: ${shown}`), { issues });
+    }
+    const out = {
+        masses: obj.masses.slice(),
+        pos: obj.pos.map(r => [r[0], r[1], r[2]]),
+        vel: obj.vel.map(u => [u[0], u[1], u[2]]),
+    };
+    if (obj.softening !== undefined) out.softening = obj.softening;
+    return out;
+}
+
+// `?init=` accepts URL-encoded JSON or (URL-safe) base64 of it
+export function decodeInitParam(value) {
+    const v = value.trim();
+    if (v.startsWith('{')) return v;
+    try {
+        const b64 = v.replace(/-/g, '+').replace(/_/g, '/');
+        const bytes = Uint8Array.from(atob(b64), c => c.charCodeAt(0));
+        return new TextDecoder().decode(bytes);
+    } catch {
+        throw new Error('?init= is neither JSON nor base64-encoded JSON');
+    }
+}
+
+/**
+ * Scenario document (version 1.0), all quantities in the declared units:
+ * @typedef {{
+ *   format: 'nbody-scenario', version: string, name?: string, description?: string,
+ *   units?: { length?: 'AU'|'km'|'m', time?: 'day'|'s'|'h'|'yr', mass?: 'Msun'|'kg'|'Mearth'|'Mjup', velocity?: string },
+ *   bodies: { name?: string, type?: 'star'|'planet', mass: number, pos: number[], vel: number[] }[],
+ *   settings?: { softening?: number, integrator?: string, timeScale?: number, trailLen?: number,
+ *                clock?: 'realtime'|'fixed', fixedDt?: number, visualPreset?: string, collisionOutcome?: string }
+ * }} Scenario
+ */
+
+const SETTING_KEYS = ['softening', 'integrator', 'timeScale', 'trailLen', 'clock', 'fixedDt', 'visualPreset', 'collisionOutcome'];
+
+// Fill in per-body names/types for params that don't carry them (presets, bare JSON)
+export function withBodyDefaults(params) {
+    const n = params.masses.length;
+    params.names = Array.from({ length: n }, (_, i) => params.names?.[i] || `Body ${i+1}`);
+    params.types = Array.from({ length: n }, (_, i) => params.types?.[i] || defaultBodyType(params.masses[i]));
+    return params;
+}
+
+/**
+ * Current params (+ visual preset / collision outcome) as a scenario document in AU / day / M☉.
+ * @returns {Scenario}
+ */
+export function buildScenario(params, { name, description, visualPreset, collisionOutcome } = {}) {
+    const p = withBodyDefaults({ ...params });
+    const settings = {};
+    for (const k of SETTING_KEYS) if (p[k] !== undefined) settings[k] = p[k];
+    if (visualPreset) settings.visualPreset = visualPreset;
+    if (collisionOutcome) settings.collisionOutcome = collisionOutcome;
+    return {
+        format: SCENARIO_FORMAT,
+        version: SCENARIO_VERSION,
+        ...(name ? { name } : {}),
+        ...(description ? { description } : {}),
+        units: { length: 'AU', time: 'day', mass: 'Msun' },
+        bodies: p.masses.map((m, i) => ({ name: p.names[i], type: p.types[i], mass: m, pos: p.pos[i], vel: p.vel[i] })),
+        settings,
+    };
+}
+
+// Older documents are upgraded one version at a time
+const MIGRATIONS = {
+    // bare { masses, pos, vel, softening } from the original "Copy Init JSON"
+    '0': obj => {
+        const init = validateInit(obj);
+        return {
+            format: SCENARIO_FORMAT, version: '1.0',
+            units: { length: 'AU', time: 'day', mass: 'Msun' },
+            bodies: init.masses.map((m, i) => ({ mass: m, pos: init.pos[i], vel: init.vel[i] })),
+            settings: init.softening !== undefined ? { softening: init.softening } : {},
+        };
+    },
+};
+
+export function migrateScenario(obj) {
+    let doc = obj;
+    for (let guard = 0; guard < 10; guard++) {
+        const v = doc && typeof doc === 'object' && !Array.isArray(doc) && doc.version !== undefined ? String(doc.version) : '0';
+        if (v === SCENARIO_VERSION) return doc;
+        const step = MIGRATIONS[v];
+        if (!step) throw Object.assign(new Error(`Unsupported scenario version "${v}" (this build reads ${SCENARIO_VERSION})`), { issues: [`version ${v}`] });
+        doc = step(doc);
+    }
+    return doc;
+}
+
+function unitFactor(kind, unit, issues) {
+    const f = UNITS[kind][unit];
+    if (f === undefined) issues.push(`units.${kind} "${unit}" is not one of ${Object.keys(UNITS[kind]).join(', ')}`);
+    return f ?? 1;
+}
+
+/**
+ * Parse any supported scenario (current version or bare init JSON), validate it and
+ * convert to internal units.
+ * @returns {{ params: object, name?: string, description?: string, version: string, migrated: boolean }}
+ *          params holds masses/pos/vel/names/types plus whichever settings the file declares
+ */
+export function parseScenario(text) {
+    let obj;
+    try { obj = JSON.parse(text); }
+    catch (e) { throw Object.assign(new Error(`Not valid JSON: ${e.message}`), { issues: [e.message] }); }
+    const migrated = !(obj && obj.version !== undefined);
+    const doc = migrateScenario(obj);
+
+    const issues = [];
+    if (doc.format !== undefined && doc.format !== SCENARIO_FORMAT) issues.push(`format must be "${SCENARIO_FORMAT}" (got ${show(doc.format)})`);
+    const u = doc.units ?? {};
+    const L = unitFactor('length', u.length ?? 'AU', issues);
+    const T = unitFactor('time', u.time ?? 'day', issues);
+    const M = unitFactor('mass', u.mass ?? 'Msun', issues);
+    let V = L / T;
+    if (u.velocity !== undefined) {
+        const [lu, tu] = String(u.velocity).split('/');
+        if (tu === undefined) issues.push(`units.velocity "${u.velocity}" must look like "km/s"`);
+        else V = unitFactor('length', lu, issues) / unitFactor('time', tu, issues);
+    }
+
+    if (!Array.isArray(doc.bodies)) issues.push(`bodies must be an array (got ${show(doc.bodies)})`);
+    const bodies = Array.isArray(doc.bodies) ? doc.bodies : [];
+    bodies.forEach((b, i) => {
+        if (b?.name !== undefined && typeof b.name !== 'string') issues.push(`bodies[${i}].name must be a string`);
+        if (b?.type !== undefined && b.type !== 'star' && b.type !== 'planet') issues.push(`bodies[${i}].type must be "star" or "planet" (got ${show(b.type)})`);
+    });
+    const settings = doc.settings ?? {};
+    for (const k of Object.keys(settings)) if (!SETTING_KEYS.includes(k)) issues.push(`settings.${k} is not a known setting`);
+    for (const k of ['timeScale', 'trailLen', 'fixedDt'])
+        if (settings[k] !== undefined && !(isNum(settings[k]) && settings[k] > 0)) issues.push(`settings.${k} must be a positive number (got ${show(settings[k])})`);
+    if (settings.clock !== undefined && !['realtime', 'fixed'].includes(settings.clock)) issues.push(`settings.clock must be "realtime" or "fixed"`);
+    if (settings.integrator !== undefined && !INTEGRATORS[settings.integrator])
+        issues.push(`settings.integrator "${settings.integrator}" is not one of ${Object.keys(INTEGRATORS).join(', ')}`);
+    if (settings.collisionOutcome !== undefined && !['pause', 'merge', 'bounce', 'log'].includes(settings.collisionOutcome))
+        issues.push(`settings.collisionOutcome must be pause, merge, bounce or log`);
+
+    let init;
+    try {
+        init = validateInit({
+            masses: bodies.map(b => b?.mass),
+            pos: bodies.map(b => b?.pos),
+            vel: bodies.map(b => b?.vel),
+            ...(settings.softening !== undefined ? { softening: settings.softening } : {}),
+        });
+    } catch (e) {
+        issues.push(...e.issues.map(x => x.replace(/^(masses|pos|vel)\[(\d+)\]/, (_, f, i) => `bodies[${i}].${f === 'masses' ? 'mass' : f}`)));
+    }
+    if (issues.length) {
+        const shown = issues.slice(0, 6).join('; ') + (issues.length > 6 ? `; … ${issues.length - 6} more` : '');
+        throw Object.assign(new Error(`Invalid scenario: ${shown}`), { issues });
+    }
+
+    const params = {
+        masses: init.masses.map(m => m * M),
+        pos: init.pos.map(r => r.map(x => x * L)),
+        vel: init.vel.map(v => v.map(x => x * V)),
+        names: bodies.map(b => b.name),
+        types: bodies.map(b => b.type),
+    };
+    withBodyDefaults(params);
+    for (const k of SETTING_KEYS) if (settings[k] !== undefined) params[k] = settings[k];
+    if (settings.softening !== undefined) params.softening = settings.softening * L;
+    if (settings.fixedDt !== undefined) params.fixedDt = settings.fixedDt * T;
+    return { params, name: doc.name, description: doc.description, version: String(obj?.version ?? '0'), migrated };
+}
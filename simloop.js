@@ -0,0 +1,77 @@
+// simloop.js — the physics side of the app's stepping loop, without any UI: engine + event
+// monitor + fixed time grid + collision outcomes. Runs inside physics-worker.js.
+import { createIntegrator, switchIntegrator } from './physics.js';
+import { EventMonitor, resolveCollision } from './events.js';
+
+export class SimLoop {
+    /**
+     * @param {{ integrator:string, softening:number, snap:object, ids:number[],
+     *           collision:object, escape:object, dt:number, escaped?:boolean[] }} init
+     *        snap is an engine snapshot (state, masses, t, …); dt the step size in days;
+     *        escaped flags bodies already reported as escaped, so they don't fire again
+     */
+    constructor({ integrator, softening, snap, ids, collision, escape, dt, escaped }) {
+        const n = snap.n, s = snap.state;
+        const pos = Array.from({ length: n }, (_, i) => [s[3*i], s[3*i+1], s[3*i+2]]);
+        const vel = Array.from({ length: n }, (_, i) => [s[3*n+3*i], s[3*n+3*i+1], s[3*n+3*i+2]]);
+        this.engine = createIntegrator(integrator, Array.from(snap.m), pos, vel, softening);
+        this.engine.restore(snap);
+        this.softening = softening;
+        this.ids = ids.slice();
+        this.collision = collision;
+        this.escape = escape;
+        this.monitor = new EventMonitor({ collision, escape });
+        this.monitor.reset(n);
+        if (escaped?.length === n) this.monitor.escaped = escaped.slice();
+        this.halted = false;   // stopped by a pausing event until resumed
+        this.setStep(dt);
+    }
+
+    // Time grid: t = origin + k·dt, never a running float sum
+    setStep(dt) {
+        this.dt = dt;
+        this.origin = this.engine.t;
+        this.k = 0;
+        this.pending = 0;      // rest of a step interrupted by a pausing event
+    }
+
+    setIntegrator(key) {
+        this.engine = switchIntegrator(this.engine, key, this.softening);
+    }
+
+    /**
+     * One grid step with events after every integrator step. Merge/bounce outcomes are applied
+     * here; each event gets the post-outcome snapshot (`after`) and result (`res`) so a mirror
+     * can adopt them. Pausing events (collision 'pause', escape) halt the loop.
+     * @returns {object[]} events, body indices as they were when each event happened
+     */
+    step() {
+        const events = [];
+        let left = this.pending > 0 ? this.pending : this.dt;
+        for (let guard = 0; left > 0 && !this.halted && guard < 16; guard++) {
+            const res = this.monitor.step(this.engine, left);
+            left -= res.advanced;
+            for (const ev of res.events) {
+                if (ev.type === 'escape') this.halted = true;
+                if (ev.type === 'collision') {
+                    if (this.collision.outcome === 'pause') this.halted = true;
+                    else {
+                        ev.res = resolveCollision(this.engine, this.monitor, ev, this.collision, this.ids);
+                        ev.after = this.engine.snapshot();
+                    }
+                }
+                events.push(ev);
+            }
+        }
+        this.pending = left > 0 ? left : 0;
+        if (this.pending === 0) this.engine.t = this.origin + (++this.k) * this.dt;
+        return events;
+    }
+
+    // Frame for the main thread: state + masses + ids (+ escape flags) at the current time
+    frame() {
+        const e = this.engine;
+        return { t: e.t, n: e.n, ids: this.ids.slice(), state: Float64Array.from(e.state), m: Float64Array.from(e.m), lastDt: e.lastDt,
+                 escaped: this.monitor.escaped.slice() };
+    }
+}
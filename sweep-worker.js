@@ -0,0 +1,7 @@
+// sweep-worker.js — module worker for runSweep: one case per message, result posted back
+import { runCase } from './sweep.js';
+
+self.onmessage = e => {
+    const { params, opts } = e.data;
+    self.postMessage(runCase(params, opts));
+};
@@ -0,0 +1,141 @@
+// sweep.js — parameter sweeps: vary one or two initial conditions over a grid, integrate
+// each case headlessly until collision, escape or the time limit, and report the outcome.
+// runCase/buildSweepCases are DOM-free; runSweep farms cases out to sweep-worker.js.
+import { createIntegrator } from './physics.js';
+import { EventMonitor, COLLISION_DEFAULTS, ESCAPE_DEFAULTS } from './events.js';
+import { stateToElements, elementsToState, dominantBody, muOf } from './orbits.js';
+
+// Sweepable per-body quantities; orbital ones are relative to the body's dominant neighbour
+export const SWEEP_FIELDS = {
+    a:    { label: 'a (AU)',          orbital: true },
+    e:    { label: 'e',               orbital: true },
+    i:    { label: 'i (°)',           orbital: true },
+    vfac: { label: 'speed × (rel. to central)' },
+    m:    { label: 'mass (M☉)' },
+    x:    { label: 'x (AU)' },   y:  { label: 'y (AU)' },      z:  { label: 'z (AU)' },
+    vx:   { label: 'vx (AU/day)' }, vy: { label: 'vy (AU/day)' }, vz: { label: 'vz (AU/day)' },
+};
+
+const CART = { x: ['pos', 0], y: ['pos', 1], z: ['pos', 2], vx: ['vel', 0], vy: ['vel', 1], vz: ['vel', 2] };
+const DEG = Math.PI / 180;
+
+function relative(params, body) {
+    const c = dominantBody(params.masses, params.pos, body);
+    const r = params.pos[body].map((x, k) => x - params.pos[c][k]);
+    const v = params.vel[body].map((x, k) => x - params.vel[c][k]);
+    return { c, r, v, mu: muOf(params.masses[c], params.masses[body]) };
+}
+
+/** Current value of a sweep axis in the given setup (what the grid is usually centred on). */
+export function sweepValue(params, { body, field }) {
+    if (field === 'm') return params.masses[body];
+    if (field === 'vfac') return 1;
+    if (CART[field]) { const [arr, k] = CART[field]; return params[arr][body][k]; }
+    const { r, v, mu } = relative(params, body);
+    const el = stateToElements(r, v, mu);
+    return field === 'i' ? el.i / DEG : el[field];
+}
+
+/**
+ * Copy of params with one quantity of one body replaced. Orbital fields keep the other
+ * elements (and the anomaly) of the current relative orbit; throws if the result is invalid.
+ */
+export function applySweepParam(params, { body, field }, value) {
+    const p = { ...params, masses: params.masses.slice(), pos: params.pos.map(r => r.slice()), vel: params.vel.map(v => v.slice()) };
+    if (field === 'm') {
+        if (!(value > 0)) throw new Error('mass must be > 0');
+        p.masses[body] = value;
+    } else if (CART[field]) {
+        const [arr, k] = CART[field];
+        p[arr][body][k] = value;
+    } else {
+        const { c, r, v, mu } = relative(params, body);
+        let rv;
+        if (field === 'vfac') rv = { r, v: v.map(x => x * value) };
+        else {
+            const el = stateToElements(r, v, mu);
+            el[field] = field === 'i' ? value * DEG : value;
+            rv = elementsToState({ ...el, M: undefined }, mu);
+        }
+        p.pos[body] = params.pos[c].map((x, k) => x + rv.r[k]);
+        p.vel[body] = params.vel[c].map((x, k) => x + rv.v[k]);
+    }
+    return p;
+}
+
+const linspace = (lo, hi, n) => n <= 1 ? [lo] : Array.from({ length: n }, (_, k) => lo + (hi - lo) * k / (n - 1));
+
+/**
+ * Grid of cases, row-major with x fastest. axes: [{ body, field, min, max, steps }] (1 or 2).
+ * Cases whose parameters can't be realised carry `error` instead of params.
+ */
+export function buildSweepCases(base, axes) {
+    const [ax, ay] = axes;
+    const xs = linspace(ax.min, ax.max, ax.steps), ys = ay ? linspace(ay.min, ay.max, ay.steps) : [null];
+    const cases = [];
+    ys.forEach((yv, iy) => xs.forEach((xv, ix) => {
+        const c = { index: cases.length, ix, iy, x: xv, y: yv };
+        try {
+            let p = applySweepParam(base, ax, xv);
+            if (ay) p = applySweepParam(p, ay, yv);
+            c.params = { masses: p.masses, pos: p.pos, vel: p.vel };
+        } catch (e) { c.error = e.message; }
+        cases.push(c);
+    }));
+    return { cases, nx: xs.length, ny: ys.length };
+}
+
+/**
+ * Integrate one case in fixed steps until the first collision or escape, or `days`.
+ * @returns {{ outcome:'survived'|'collision'|'escape', t:number, bodies?:number[], energyErr:number }}
+ */
+export function runCase(params, { days, dt, integrator, softening }) {
+    const engine = createIntegrator(integrator, params.masses, params.pos, params.vel, softening);
+    const monitor = new EventMonitor({ collision: { ...COLLISION_DEFAULTS, nearMiss: 0 }, escape: { ...ESCAPE_DEFAULTS } });
+    const E0 = engine.energy();
+    const steps = Math.ceil(days / dt - 1e-9);
+    for (let k = 1; k <= steps; k++) {
+        const ev = monitor.step(engine, dt).events.find(e => e.type !== 'approach');
+        if (ev) {
+            const bodies = ev.type === 'escape' ? [ev.index + 1] : [ev.i + 1, ev.j + 1];
+            return { outcome: ev.type, t: ev.t, bodies, energyErr: (engine.energy() - E0) / Math.abs(E0) };
+        }
+        engine.t = k * dt;
+    }
+    return { outcome: 'survived', t: engine.t, energyErr: (engine.energy() - E0) / Math.abs(E0) };
+}
+
+/**
+ * Run cases on a pool of module workers (one case in flight per worker).
+ * @returns {{ cancel: () => void }}
+ */
+export function runSweep(cases, opts, { workers = 2, onResult, onDone }) {
+    const queue = cases.filter(c => !c.error);
+    const pool = [];
+    let pending = queue.length, cancelled = false;
+    for (const c of cases) if (c.error) onResult(c, { outcome: 'invalid', t: 0, error: c.error });
+    if (!pending) { onDone?.(); return { cancel() {} }; }
+
+    const next = w => {
+        const c = queue.shift();
+        if (c) { w.current = c; w.postMessage({ params: c.params, opts }); }
+    };
+    for (let k = 0; k < Math.min(workers, queue.length); k++) {
+        const w = new Worker(new URL('./sweep-worker.js', import.meta.url), { type: 'module' });
+        w.onmessage = e => {
+            if (cancelled) return;
+            onResult(w.current, e.data);
+            if (--pending === 0) { pool.forEach(x => x.terminate()); onDone?.(); }
+            else next(w);
+        };
+        w.onerror = e => {
+            if (cancelled) return;
+            onResult(w.current, { outcome: 'invalid', t: 0, error: e.message });
+            if (--pending === 0) { pool.forEach(x => x.terminate()); onDone?.(); }
+            else next(w);
+        };
+        pool.push(w);
+        next(w);
+    }
+    return { cancel() { cancelled = true; pool.forEach(w => w.terminate()); } };
+}
@@ -0,0 +1,53 @@
+// telemetry.js — live per-body readouts for the HUD table: speed and escape margin, distance to
+// every other body, specific orbital energy about each star, Hill-sphere membership and the
+// resulting host star. DOM-free; indices are engine indices.
+import { G, escapeMetrics } from './physics.js';
+
+/**
+ * Hill radius (AU) of each star about its strongest-pulling companion star,
+ * r_H = d·∛(m / 3(m + m_c)); Infinity for a lone star, NaN for non-stars.
+ */
+export function hillRadii(engine, isStar) {
+    const n = engine.n, s = engine.state, m = engine.m;
+    const dist = (i, j) => Math.hypot(s[3*i] - s[3*j], s[3*i+1] - s[3*j+1], s[3*i+2] - s[3*j+2]);
+    return Array.from({ length: n }, (_, i) => {
+        if (!isStar[i]) return NaN;
+        let c = -1, pull = 0;
+        for (let j=0;j<n;j++) if (j !== i && isStar[j]) {
+            const f = m[j] / dist(i, j) ** 2;
+            if (f > pull) { pull = f; c = j; }
+        }
+        return c < 0 ? Infinity : dist(i, c) * Math.cbrt(m[i] / (3 * (m[i] + m[c])));
+    });
+}
+
+/**
+ * One row per body:
+ *   speed, vEsc, rCM   speed (AU/day); escape speed from, and distance to, the CM of the others
+ *   dist[j]            distance (AU) to body j (NaN for itself)
+ *   energy[s]          specific orbital energy (AU²/day²) about star s, < 0 when bound to it
+ *   hill               star whose Hill sphere holds the body (the deepest one if several), or null
+ *   host               the Hill star if bound to it, else the star it is most bound to, or null
+ * Stars get hill/host too, relative to the other stars.
+ */
+export function bodyTelemetry(engine, isStar) {
+    const n = engine.n, s = engine.state, m = engine.m, N3 = 3*n;
+    const rH = hillRadii(engine, isStar);
+    return Array.from({ length: n }, (_, k) => {
+        const esc = escapeMetrics({ engine, masses: m, index: k });
+        const row = { speed: esc?.v ?? Math.hypot(s[N3+3*k], s[N3+3*k+1], s[N3+3*k+2]), vEsc: esc?.vEsc ?? NaN,
+                      rCM: esc?.rCM ?? NaN, dist: [], energy: [], hill: null, host: null };
+        let depth = Infinity, deepest = 0;
+        for (let j=0;j<n;j++) {
+            const d = j === k ? NaN : Math.hypot(s[3*k] - s[3*j], s[3*k+1] - s[3*j+1], s[3*k+2] - s[3*j+2]);
+            row.dist[j] = d;
+            if (j === k || !isStar[j]) continue;
+            const v2 = (s[N3+3*k] - s[N3+3*j]) ** 2 + (s[N3+3*k+1] - s[N3+3*j+1]) ** 2 + (s[N3+3*k+2] - s[N3+3*j+2]) ** 2;
+            row.energy[j] = 0.5 * v2 - G * (m[j] + m[k]) / d;
+            if (d / rH[j] < Math.min(1, depth)) { depth = d / rH[j]; row.hill = j; }
+            if (row.energy[j] < deepest) { deepest = row.energy[j]; row.host = j; }
+        }
+        if (row.hill !== null && row.energy[row.hill] < 0) row.host = row.hill;
+        return row;
+    });
+}
@@ -0,0 +1,138 @@
+// trajectory.js — samples the run at a fixed sim-time cadence and serialises it for offline
+// analysis as CSV, JSON Lines or a compact Float64 binary. Body columns are keyed by body id
+// (1-based position in the original setup), so they stay put when mergers renumber the engine.
+// No DOM.
+
+export const TRAJECTORY_FORMAT = 'nbody-trajectory';
+export const TRAJECTORY_VERSION = '1.0';
+export const BINARY_MAGIC = 'NBTRAJ01';   // 8 bytes
+
+const FIELDS = ['x', 'y', 'z', 'vx', 'vy', 'vz', 'm'];
+
+export class TrajectoryLog {
+    /**
+     * @param {{ ids:number[], names?:string[], cadence?:number }} opts
+     *        cadence: sim days between samples (0 = every integrator step handed to sample())
+     */
+    constructor({ ids, names = [], cadence = 0 }) {
+        this.ids = ids.slice();
+        this.names = Object.fromEntries(ids.map((id, k) => [id, names[k] ?? `Body ${id}`]));
+        this.cadence = cadence;
+        this.rows = [];     // { t, E, ids:number[], state:Float64Array, m:Float64Array, forced }
+        this.events = [];   // { t, type, bodies:number[], ...detail }
+        this.nextT = -Infinity;
+    }
+
+    /**
+     * Record the engine's state if the cadence is due. bodyIds maps engine index → body id.
+     * Forced samples (start/stop, collisions, ejections) survive export thinning.
+     */
+    sample(engine, bodyIds, force = false) {
+        if (!force && engine.t < this.nextT) return false;
+        this.rows.push({ t: engine.t, E: engine.energy(), ids: bodyIds.slice(), forced: force,
+                         state: Float64Array.from(engine.state), m: Float64Array.from(engine.m) });
+        // next due time on the cadence grid, so samples don't drift with frame timing
+        this.nextT = this.cadence > 0 ? (Math.floor(engine.t / this.cadence + 1e-9) + 1) * this.cadence : -Infinity;
+        return true;
+    }
+
+    addEvent(ev) { this.events.push(ev); }
+
+    /** Drop everything after time t (the run was branched from an earlier state). */
+    truncateAfter(t) {
+        this.rows = this.rows.filter(r => r.t <= t);
+        this.events = this.events.filter(e => e.t <= t);
+        this.nextT = -Infinity;
+    }
+
+    get length() { return this.rows.length; }
+
+    // Every `every`-th row, plus every forced row (events) and the last one
+    _rows(every = 1) {
+        const k = Math.max(1, Math.floor(every));
+        return this.rows.filter((r, q) => q % k === 0 || r.forced || q === this.rows.length - 1);
+    }
+
+    _header(rows) {
+        return {
+            format: TRAJECTORY_FORMAT, version: TRAJECTORY_VERSION,
+            units: { length: 'AU', time: 'day', mass: 'Msun', velocity: 'AU/day', energy: 'Msun AU^2/day^2' },
+            cadence: this.cadence, samples: rows.length,
+            bodies: this.ids.map(id => ({ id, name: this.names[id] })),
+            columns: ['t', 'E', ...this.ids.flatMap(id => FIELDS.map(f => `${f}${id}`))],
+        };
+    }
+
+    // One flat record per row: t, E, then x..m for every id (NaN once a body no longer exists)
+    _record(r) {
+        const out = new Float64Array(2 + FIELDS.length * this.ids.length).fill(NaN);
+        out[0] = r.t; out[1] = r.E;
+        const n = r.ids.length;
+        this.ids.forEach((id, c) => {
+            const i = r.ids.indexOf(id);
+            if (i < 0) return;
+            const o = 2 + FIELDS.length * c;
+            for (let k = 0; k < 3; k++) { out[o+k] = r.state[3*i+k]; out[o+3+k] = r.state[3*n+3*i+k]; }
+            out[o+6] = r.m[i];
+        });
+        return out;
+    }
+
+    /** CSV with one row per sample; `events` lists markers that fell since the previous row. */
+    toCSV(every = 1) {
+        const rows = this._rows(every), head = this._header(rows);
+        const lines = [head.columns.concat('events').join(',')];
+        let e = 0;
+        for (const r of rows) {
+            const marks = [];
+            while (e < this.events.length && this.events[e].t <= r.t) marks.push(eventTag(this.events[e++]));
+            lines.push(Array.from(this._record(r), x => Number.isNaN(x) ? '' : String(x)).join(',') + ',' + marks.join(';'));
+        }
+        return lines.join('\n') + '\n';
+    }
+
+    /** JSON Lines: a header line, then samples and events interleaved in time order. */
+    toJSONL(every = 1) {
+        const rows = this._rows(every);
+        const lines = [JSON.stringify({ ...this._header(rows), columns: undefined, events: this.events.length })];
+        let e = 0;
+        const flushEvents = t => { while (e < this.events.length && this.events[e].t <= t) lines.push(JSON.stringify({ event: this.events[e++] })); };
+        for (const r of rows) {
+            flushEvents(r.t);
+            const n = r.ids.length, s = r.state;
+            lines.push(JSON.stringify({
+                t: r.t, E: r.E, ids: r.ids, m: Array.from(r.m),
+                pos: r.ids.map((_, i) => [s[3*i], s[3*i+1], s[3*i+2]]),
+                vel: r.ids.map((_, i) => [s[3*n+3*i], s[3*n+3*i+1], s[3*n+3*i+2]]),
+            }));
+        }
+        flushEvents(Infinity);
+        return lines.join('\n') + '\n';
+    }
+
+    /**
+     * Binary: 8-byte magic, uint32 (LE) header length, UTF-8 JSON header (with events) padded
+     * to a multiple of 8, then samples × columns little-endian Float64 values.
+     * @returns {ArrayBuffer}
+     */
+    toBinary(every = 1) {
+        const rows = this._rows(every);
+        const head = new TextEncoder().encode(JSON.stringify({ ...this._header(rows), events: this.events }));
+        const headLen = Math.ceil((12 + head.length) / 8) * 8 - 12;
+        const cols = 2 + FIELDS.length * this.ids.length;
+        const buf = new ArrayBuffer(12 + headLen + 8 * cols * rows.length);
+        const bytes = new Uint8Array(buf), view = new DataView(buf);
+        for (let k = 0; k < 8; k++) bytes[k] = BINARY_MAGIC.charCodeAt(k);
+        view.setUint32(8, headLen, true);
+        bytes.fill(0x20, 12, 12 + headLen);   // pad the JSON with spaces
+        bytes.set(head, 12);
+        let o = 12 + headLen;
+        for (const r of rows) for (const x of this._record(r)) { view.setFloat64(o, x, true); o += 8; }
+        return buf;
+    }
+}
+
+// "collision:1-4@12.5" / "escape:3@40.25" style marker for the CSV events column
+function eventTag(ev) {
+    return `${ev.type}:${ev.bodies.join('-')}@${ev.t}`;
+}
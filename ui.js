@@ -1,9 +1,201 @@
+import { defaultBodyType } from './physics.js';
+import { buildScenario } from './scenario.js';
+import { getPath } from './visual-config.js';
+import { bodyColor } from './palette.js';
+
 export const $ = id => document.getElementById(id);
 
+const BODY_FIELDS = [
+    ['m',  'Mass (M☉)',   '0.000001'],
+    ['x',  'x (AU)',      '0.001'],
+    ['y',  'y (AU)',      '0.001'],
+    ['z',  'z (AU)',      '0.001'],
+    ['vx', 'vx (AU/day)', '0.0001'],
+    ['vy', 'vy (AU/day)', '0.0001'],
+    ['vz', 'vz (AU/day)', '0.0001'],
+];
+
+// (Re)generate one input card and one legend chip per body
+export function renderBodyCards(n) {
+    const row = $('bodies'), legend = $('legend');
+    row.innerHTML = ''; legend.innerHTML = '';
+    for (let i=0;i<n;i++){
+        const card = document.createElement('div');
+        card.className = 'card'; card.dataset.body = String(i);
+        const h = document.createElement('h3');
+        h.textContent = `Body ${i+1}`;
+        if (n > 2) {
+            const rm = document.createElement('button');
+            rm.className = 'btn-mini'; rm.title = `Remove body ${i+1}`; rm.textContent = '✕';
+            rm.dataset.removeBody = String(i);
+            h.appendChild(rm);
+        }
+        card.appendChild(h);
+
+        const nl = document.createElement('label');
+        nl.append('Name ');
+        const name = document.createElement('input');
+        name.type = 'text'; name.id = 'name' + i;
+        nl.appendChild(name);
+        const tl = document.createElement('label');
+        tl.append('Type ');
+        const type = document.createElement('select');
+        type.id = 'type' + i;
+        for (const t of ['star', 'planet']) type.add(new Option(t, t));
+        tl.appendChild(type);
+        card.append(nl, tl);
+
+        for (const [key, label, step] of BODY_FIELDS) {
+            const l = document.createElement('label');
+            l.append(`${label} `);
+            const inp = document.createElement('input');
+            inp.type = 'number'; inp.id = key + i; inp.step = step;
+            l.appendChild(inp);
+            card.appendChild(l);
+        }
+        card.appendChild(orbitPanel(i, n));
+        row.appendChild(card);
+
+        const chip = document.createElement('span');
+        chip.className = 'chip'; chip.id = `legend${i+1}`; chip.title = `Body ${i+1}`;
+        const dot = document.createElement('span');
+        dot.className = 'dot'; dot.style.color = bodyColor(i);
+        const text = document.createElement('span');
+        text.className = 'chip-label'; text.textContent = `Body ${i+1}`;
+        chip.append(dot, text);
+        legend.appendChild(chip);
+    }
+}
+
+// Legend dot of body `id` (1-based, as the chips are); null restores the theme colour
+export function setLegendColor(id, color) {
+    const dot = $(`legend${id}`)?.querySelector('.dot');
+    if (dot) dot.style.color = color ?? bodyColor(id - 1);
+}
+
+/** Trail frame choices: inertial, barycentre, then one per body ({ id, label }); value e.g. 'body:2'. */
+export function setTrailFrameOptions(bodies, value) {
+    const sel = $('trailFrame');
+    if (!sel) return;
+    sel.replaceChildren(new Option('Inertial', 'inertial'), new Option('Barycentre', 'barycentre'),
+        ...bodies.map(b => new Option(`Relative to ${b.label}`, `body:${b.id}`)));
+    sel.value = value;
+}
+
+// Ruler ends: the same body list in both selects ({ id, label }), ids = [from, to]
+export function setRulerOptions(bodies, ids) {
+    ['ovRulerA', 'ovRulerB'].forEach((id, k) => {
+        const sel = $(id);
+        if (!sel) return;
+        sel.replaceChildren(...bodies.map(b => new Option(b.label, String(b.id))));
+        sel.value = String(ids[k] ?? '');
+    });
+}
+
+export function setTrailColorSelect(by) {
+    const sel = $('trailColor');
+    if (sel) sel.value = by;
+}
+
+const ORBIT_FIELDS = [
+    ['oa',     'a (AU)',  '0.01'],
+    ['oe',     'e',       '0.01'],
+    ['oinc',   'i (°)',   '1'],
+    ['oraan',  'Ω (°)',   '1'],
+    ['oargp',  'ω (°)',   '1'],
+    ['oanom',  'Anomaly (°)', '1'],
+];
+
+// Collapsible "Orbital elements" section of a body card: inputs relative to a central
+// body plus a live osculating readout
+function orbitPanel(i, n) {
+    const det = document.createElement('details');
+    det.className = 'orbit-panel'; det.id = 'orbit' + i;
+    const sum = document.createElement('summary');
+    sum.textContent = 'Orbital elements';
+    det.appendChild(sum);
+
+    const cl = document.createElement('label');
+    cl.append('Central body ');
+    const center = document.createElement('select');
+    center.id = 'orbc' + i;
+    center.add(new Option('auto (strongest pull)', ''));
+    for (let j=0;j<n;j++) if (j !== i) center.add(new Option(`Body ${j+1}`, String(j)));
+    cl.appendChild(center);
+    det.appendChild(cl);
+
+    const kl = document.createElement('label');
+    kl.append('Anomaly ');
+    const kind = document.createElement('select');
+    kind.id = 'oanomKind' + i;
+    kind.add(new Option('true (ν)', 'true'));
+    kind.add(new Option('mean (M)', 'mean'));
+    kl.appendChild(kind);
+
+    for (const [key, label, step] of ORBIT_FIELDS) {
+        if (key === 'oanom') det.appendChild(kl);
+        const l = document.createElement('label');
+        l.append(`${label} `);
+        const inp = document.createElement('input');
+        inp.type = 'number'; inp.id = key + i; inp.step = step;
+        l.appendChild(inp);
+        det.appendChild(l);
+    }
+    const btns = document.createElement('div');
+    btns.className = 'btn-row';
+    const apply = document.createElement('button');
+    apply.textContent = 'Set state from elements'; apply.dataset.applyOrbit = String(i);
+    btns.appendChild(apply);
+    det.appendChild(btns);
+
+    const live = document.createElement('div');
+    live.className = 'orbit-live muted'; live.id = 'osc' + i;
+    det.appendChild(live);
+    return det;
+}
+
+// Element inputs of body i (degrees, as typed); center is null for "auto"
+export function readOrbitInputs(i) {
+    const num = id => parseFloat($(id + i).value);
+    const c = $('orbc' + i).value;
+    return {
+        center: c === '' ? null : parseInt(c),
+        a: num('oa'), e: num('oe'), i: num('oinc'), Omega: num('oraan'), omega: num('oargp'),
+        anomalyKind: $('oanomKind' + i).value, anomaly: num('oanom'),
+    };
+}
+
+// Fill the element inputs of body i (el in degrees, anomaly matching the selected kind)
+export function setOrbitInputs(i, el) {
+    const put = (id, x) => { $(id + i).value = Number.isFinite(x) ? +x.toPrecision(10) : ''; };
+    put('oa', el.a); put('oe', el.e); put('oinc', el.i); put('oraan', el.Omega); put('oargp', el.omega);
+    put('oanom', $('oanomKind' + i).value === 'mean' ? el.M : el.nu);
+}
+
+// Live osculating elements line (el in degrees) or a short reason when there is none
+export function setOsculatingText(i, el, centerName) {
+    const box = $('osc' + i);
+    if (!box) return;
+    if (!el) { box.textContent = ''; return; }
+    const f = (x, d) => Number.isFinite(x) ? x.toFixed(d) : '—';
+    const P = el.bound ? ` · P ${f(el.period, 1)} d` : ' · unbound';
+    box.textContent = `about ${centerName}: a ${f(el.a, 4)} AU · e ${f(el.e, 4)} · i ${f(el.i, 1)}° · ` +
+        `Ω ${f(el.Omega, 1)}° · ω ${f(el.omega, 1)}° · ν ${f(el.nu, 1)}° · M ${f(el.M, 1)}°${P}`;
+}
+
+export const isOrbitPanelOpen = i => !!$('orbit' + i)?.open;
+
 export function bindInputs(params) {
     const n = params.masses.length;
+    if (document.querySelectorAll('#bodies [data-body]').length !== n) renderBodyCards(n);
     for (let i=0;i<n;i++){
         const s = String(i);
+        const name = params.names?.[i] || `Body ${i+1}`;
+        if ($('name'+s)) $('name'+s).value = name;
+        if ($('type'+s)) $('type'+s).value = params.types?.[i] || defaultBodyType(params.masses[i]);
+        const chip = $(`legend${i+1}`);
+        if (chip) { chip.querySelector('.chip-label').textContent = name; chip.title = `Body ${i+1}: ${name}`; }
+        for (const opt of document.querySelectorAll(`#bodies option[value="${i}"]`)) opt.textContent = name;
         if ($('m'+s)) $('m'+s).value = params.masses[i];
         if ($('x'+s)) $('x'+s).value = params.pos[i][0];
         if ($('y'+s)) $('y'+s).value = params.pos[i][1];
@@ -12,9 +204,20 @@ export function bindInputs(params) {
         if ($('vy'+s)) $('vy'+s).value = params.vel[i][1];
         if ($('vz'+s)) $('vz'+s).value = params.vel[i][2];
     }
+    for (const id of ['swXBody', 'swYBody']) {
+        const sel = $(id);
+        if (!sel) continue;
+        const keep = sel.value;
+        sel.innerHTML = '';
+        for (let i=0;i<n;i++) sel.add(new Option(params.names?.[i] || `Body ${i+1}`, String(i)));
+        sel.value = keep && parseInt(keep) < n ? keep : String(n - 1);
+    }
     if ($('timescale')) $('timescale').value = params.timeScale;
+    if ($('clockMode') && params.clock) { $('clockMode').value = params.clock; setClockModeText(params.clock); }
+    if ($('fixeddt') && params.fixedDt) $('fixeddt').value = params.fixedDt;
     if ($('traillen')) $('traillen').value = params.trailLen;
     if ($('softening')) $('softening').value = params.softening;
+    if ($('integrator') && params.integrator) $('integrator').value = params.integrator;
 }
 
 export function readInputsIntoParams(params) {
@@ -22,21 +225,136 @@ export function readInputsIntoParams(params) {
     params.masses = Array.from({length:n}, (_,i)=> parseFloat($('m'+i).value));
     params.pos = Array.from({length:n}, (_,i)=> [parseFloat($('x'+i).value), parseFloat($('y'+i).value), parseFloat($('z'+i).value)]);
     params.vel = Array.from({length:n}, (_,i)=> [parseFloat($('vx'+i).value), parseFloat($('vy'+i).value), parseFloat($('vz'+i).value)]);
+    params.names = Array.from({length:n}, (_,i)=> $('name'+i).value.trim() || `Body ${i+1}`);
+    params.types = Array.from({length:n}, (_,i)=> $('type'+i).value);
     params.timeScale = parseFloat($('timescale').value);
+    if ($('fixeddt')) params.fixedDt = parseFloat($('fixeddt').value) || params.fixedDt;
     params.trailLen = parseInt($('traillen').value);
     params.softening = parseFloat($('softening').value);
 }
 
-export function wireHUD({ onPause, onReset, onPreset, onTimescale, onTraillen, onSoftening, onCopyJSON, onSelfTest, onVisualPreset }) {
+// Overlay toggles: [kind, checkbox id, shortcut key, name]
+const OVERLAY_TOGGLES = [
+    ['labels', 'ovLabels', 'l', 'Names'],
+    ['velocity', 'ovVelocity', 'v', 'Velocity arrows'],
+    ['accel', 'ovAccel', 'a', 'Acceleration arrows'],
+    ['barycentre', 'ovBarycentre', 'b', 'Barycentre'],
+    ['ruler', 'ovRuler', 'r', 'Ruler'],
+];
+
+export function wireHUD({ onPause, onReset, onPreset, onTimescale, onTraillen, onSoftening, onCopyJSON, onSelfTest, onVisualPreset, onIntegrator,
+                           onAddBody, onRemoveBody, onCollisionOutcome, onClockMode, onFixedDt, onImportJSON,
+                           onUserPreset, onSavePreset, onRenamePreset, onDuplicatePreset, onDeletePreset,
+                           onExportLibrary, onImportLibrary, onApplyOrbit, onFillOrbit,
+                           onTimelineScrub, onTimelineStep, onTimelineReplay, onTimelineBranch, onTimelineLive,
+                           onTrajectoryRecord, onTrajectoryDownload, onSweepRun, onSweepCancel, onSweepCell, onSweepAxis,
+                           onPhysicsWorker, onBenchmark, onHabitableBand, onCameraMode, onCameraChip,
+                           onCaptureRecord, onCaptureStill, onColorMode, onTrailColor, onTrailFrame,
+                           onVisualEdit, onVisualSave, onVisualDownload, onVisualRevert, onOverlay, onRulerPair, onArrowSpan }) {
     $('pause').addEventListener('click', onPause);
     $('reset').addEventListener('click', onReset);
+    $('addbody').addEventListener('click', onAddBody);
+    // cards are regenerated, so listen on the container
+    $('bodies').addEventListener('click', e => {
+        const btn = e.target.closest('[data-remove-body]');
+        if (btn) onRemoveBody(parseInt(btn.dataset.removeBody));
+        const ap = e.target.closest('[data-apply-orbit]');
+        if (ap) onApplyOrbit(parseInt(ap.dataset.applyOrbit));
+    });
+    // opening the elements panel, or changing its central body / anomaly kind, refills it from the inputs
+    $('bodies').addEventListener('toggle', e => {
+        if (e.target.classList?.contains('orbit-panel') && e.target.open) onFillOrbit(parseInt(e.target.id.slice(5)));
+    }, true);
+    $('bodies').addEventListener('change', e => {
+        const m = /^(orbc|oanomKind)(\d+)$/.exec(e.target.id);
+        if (m) onFillOrbit(parseInt(m[2]));
+    });
     $('timescale').addEventListener('input', onTimescale);
     $('traillen').addEventListener('input', onTraillen);
     $('softening').addEventListener('input', onSoftening);
     $('copyjson').addEventListener('click', onCopyJSON);
+    $('loadjson').addEventListener('click', () => onImportJSON($('jsonbox').value, 'pasted JSON'));
+
+    // Drop a .json file anywhere on the page
+    document.addEventListener('dragover', e => {
+        if (e.dataTransfer?.types?.includes('Files')) e.preventDefault();
+    });
+    document.addEventListener('drop', async e => {
+        const file = e.dataTransfer?.files?.[0];
+        if (!file) return;
+        e.preventDefault();
+        let text;
+        try { text = await file.text(); }
+        catch (err) { toast(`Could not read ${file.name}: ${err.message}`); return; }
+        $('jsonbox').value = text;
+        onImportJSON(text, file.name);
+    });
     document.querySelectorAll('[data-preset]').forEach(btn =>
         btn.addEventListener('click', e => onPreset(e.currentTarget.dataset.preset))
     );
+
+    // Saved (user) presets: the list is regenerated, so listen on the container
+    $('userPresets').addEventListener('click', e => {
+        const btn = e.target.closest('[data-user-preset]');
+        if (!btn) return;
+        const id = btn.dataset.userPreset, name = btn.dataset.name;
+        switch (btn.dataset.action) {
+            case 'rename': {
+                const next = prompt('Rename preset', name);
+                if (next != null && next.trim()) onRenamePreset(id, next);
+                break;
+            }
+            case 'duplicate': onDuplicatePreset(id); break;
+            case 'delete': if (confirm(`Delete preset “${name}”?`)) onDeletePreset(id); break;
+            default: onUserPreset(id);
+        }
+    });
+    $('savepreset').addEventListener('click', () => {
+        const name = prompt('Name for this preset', '');
+        if (name != null) onSavePreset(name);
+    });
+    $('exportlib').addEventListener('click', onExportLibrary);
+    const libFile = $('importlibFile');
+    $('importlib').addEventListener('click', () => libFile.click());
+    libFile.addEventListener('change', async () => {
+        const file = libFile.files?.[0];
+        if (!file) return;
+        try { onImportLibrary(await file.text(), file.name); }
+        catch (err) { toast(`Could not read ${file.name}: ${err.message}`); }
+        finally { libFile.value = ''; }   // so picking the same file again fires change
+    });
+
+    // Timeline (recorder)
+    const tl = $('timeline');
+    tl.addEventListener('input', () => onTimelineScrub(parseInt(tl.value)));
+    $('tlBack').addEventListener('click', () => onTimelineStep(-1));
+    $('tlFwd').addEventListener('click', () => onTimelineStep(+1));
+    $('tlPlay').addEventListener('click', onTimelineReplay);
+    $('tlBranch').addEventListener('click', onTimelineBranch);
+    $('tlLive').addEventListener('click', onTimelineLive);
+
+    // Trajectory export
+    $('trajRec').addEventListener('click', () => onTrajectoryRecord(Math.max(0, parseFloat($('trajCadence').value) || 0)));
+    $('trajSave').addEventListener('click', () =>
+        onTrajectoryDownload($('trajFormat').value, Math.max(1, parseInt($('trajEvery').value) || 1)));
+
+    // Capture
+    $('capRec')?.addEventListener('click', () => onCaptureRecord?.(readCaptureForm()));
+    $('capStill')?.addEventListener('click', () => onCaptureStill?.(readCaptureForm()));
+
+    // Stability sweep
+    $('swRun').addEventListener('click', () => onSweepRun(readSweepForm()));
+    $('swCancel').addEventListener('click', onSweepCancel);
+    for (const id of ['swXBody', 'swXField', 'swYBody', 'swYField'])
+        $(id).addEventListener('change', () => onSweepAxis(id[2]));
+    $('swMap').addEventListener('click', e => {
+        if (!sweepGrid) return;
+        const r = e.currentTarget.getBoundingClientRect();
+        const ix = Math.floor((e.clientX - r.left) / r.width * sweepGrid.nx);
+        const iy = sweepGrid.ny - 1 - Math.floor((e.clientY - r.top) / r.height * sweepGrid.ny);
+        if (ix >= 0 && ix < sweepGrid.nx && iy >= 0 && iy < sweepGrid.ny) onSweepCell(ix, iy);
+    });
+
     const toggleBtn = $('togglePanel'); const dashboard = $('dashboard');
     toggleBtn.addEventListener('click', () => {
         dashboard.classList.toggle('hidden');
@@ -47,6 +365,52 @@ export function wireHUD({ onPause, onReset, onPreset, onTimescale, onTraillen, o
     const vp = $('visualPreset');
     if (vp && onVisualPreset) vp.addEventListener('change', () => onVisualPreset(vp.value));
 
+    const ig = $('integrator');
+    if (ig && onIntegrator) ig.addEventListener('change', () => onIntegrator(ig.value));
+
+    const cm = $('clockMode');
+    if (cm && onClockMode) cm.addEventListener('change', () => { setClockModeText(cm.value); onClockMode(cm.value); });
+    const fd = $('fixeddt');
+    if (fd && onFixedDt) fd.addEventListener('change', () => onFixedDt(parseFloat(fd.value)));
+
+    const pw = $('physWorker');
+    if (pw && onPhysicsWorker) pw.addEventListener('change', () => onPhysicsWorker(pw.checked));
+    for (const id of ['habMin', 'habMax'])
+        $(id)?.addEventListener('change', () => onHabitableBand?.(readHabitableBand()));
+    // Camera: mode select, and legend chips pick its body (chips are regenerated: delegate)
+    $('cameraMode')?.addEventListener('change', e => onCameraMode?.(e.target.value));
+    $('colorMode')?.addEventListener('change', e => onColorMode?.(e.target.value));
+    $('trailColor')?.addEventListener('change', e => onTrailColor?.(e.target.value));
+    $('trailFrame')?.addEventListener('change', e => onTrailFrame?.(e.target.value));
+    for (const type of ['click', 'dblclick']) $('legend').addEventListener(type, e => {
+        const chip = e.target.closest('.chip');
+        if (type === 'click' && e.detail > 1) return;   // the second click of a double-click: dblclick handles it
+        if (chip) onCameraChip?.(parseInt(chip.id.slice('legend'.length)) - 1, { pair: e.shiftKey, eye: type === 'dblclick' });
+    });
+    // Visual editor: sliders apply while dragging, heavy fields (starfield texture) on release
+    for (const type of ['input', 'change']) $('visualEditor')?.addEventListener(type, e => {
+        const f = veFields.get(e.target.dataset.path);
+        if (!f) return;
+        showVisualValue(e.target.closest('.ve-field'), f);
+        if ((type === 'change') === !!f.heavy) onVisualEdit?.(f.path, readVisualValue(e.target, f));
+    });
+    $('veSave')?.addEventListener('click', () => {
+        const name = prompt('Name for this visual preset', '');
+        if (name?.trim()) onVisualSave?.(name.trim());
+    });
+    $('veDownload')?.addEventListener('click', () => onVisualDownload?.());
+    $('veRevert')?.addEventListener('click', () => onVisualRevert?.());
+    for (const [kind, id] of OVERLAY_TOGGLES)
+        $(id)?.addEventListener('change', e => onOverlay?.(kind, e.target.checked));
+    for (const id of ['ovRulerA', 'ovRulerB'])
+        $(id)?.addEventListener('change', () => onRulerPair?.(parseInt($('ovRulerA').value), parseInt($('ovRulerB').value)));
+    $('ovSpan')?.addEventListener('change', e => onArrowSpan?.(parseFloat(e.target.value)));
+    const bm = $('benchmark');
+    if (bm && onBenchmark) bm.addEventListener('change', () => onBenchmark(bm.checked));
+
+    const co = $('collisionOutcome');
+    if (co && onCollisionOutcome) co.addEventListener('change', () => onCollisionOutcome(co.value));
+
     // --- Keyboard shortcuts ---
     document.addEventListener('keydown', (e) => {
         // Ignore typing inside input/textarea
@@ -58,6 +422,18 @@ export function wireHUD({ onPause, onReset, onPreset, onTimescale, onTraillen, o
             toggleBtn.textContent = dashboard.classList.contains('hidden') ? 'Show Controls' : 'Hide Controls';
         }
 
+        // (, / .) → Step the timeline one recorded frame back / forward
+        if (e.key === ',' || e.key === '.') onTimelineStep?.(e.key === ',' ? -1 : +1);
+
+        // (L / V / A / B / R) → Toggle an overlay, same as its checkbox
+        const ov = OVERLAY_TOGGLES.find(t => t[2] === e.key.toLowerCase());
+        if (ov && !e.ctrlKey && !e.metaKey && !e.altKey) {
+            const box = $(ov[1]);
+            box.checked = !box.checked;
+            box.dispatchEvent(new Event('change'));
+            toast(`${ov[3]} ${box.checked ? 'on' : 'off'}`);
+        }
+
         // (Space) → Pause / Resume simulation
         if (e.code === 'Space') {
             e.preventDefault(); // prevent page scroll
@@ -66,6 +442,322 @@ export function wireHUD({ onPause, onReset, onPreset, onTimescale, onTraillen, o
     });
 }
 
+// Saved presets as rows of [load][✎][⧉][✕] under the built-in preset buttons
+export function renderUserPresets(list) {
+    const box = $('userPresets');
+    box.innerHTML = '';
+    for (const p of list) {
+        const row = document.createElement('div');
+        row.className = 'user-preset';
+        const n = p.scenario?.bodies?.length ?? 0;
+        for (const [action, label, title, cls] of [
+            ['load', p.name, `${p.name} — ${n} bodies` + (p.updated ? `, saved ${p.updated.slice(0, 10)}` : ''), ''],
+            ['rename', '✎', 'Rename', 'btn-mini'],
+            ['duplicate', '⧉', 'Duplicate', 'btn-mini'],
+            ['delete', '✕', 'Delete', 'btn-mini'],
+        ]) {
+            const b = document.createElement('button');
+            b.textContent = label;
+            b.title = title;
+            if (cls) b.className = cls;
+            Object.assign(b.dataset, { userPreset: p.id, name: p.name, action });
+            row.appendChild(b);
+        }
+        box.appendChild(row);
+    }
+}
+
+// Camera mode in the select; chips of the bodies it is tied to (body indices) are highlighted
+export function setCameraChips(mode, indices) {
+    if ($('cameraMode')) $('cameraMode').value = mode;
+    document.querySelectorAll('#legend .chip').forEach(c =>
+        c.classList.toggle('chip-active', indices.includes(parseInt(c.id.slice('legend'.length)) - 1)));
+}
+
+// Telemetry table (rows from telemetry.js bodyTelemetry); labels[i] names engine body i.
+// Built with textContent since labels are user-entered names.
+export function renderTelemetry(rows, labels, isStar) {
+    const table = $('telemetry'); if (!table) return;
+    const stars = labels.map((_, j) => j).filter(j => isStar[j]);
+    const fmt = x => Number.isFinite(x) ? x.toPrecision(3) : '—';
+    const cell = (tag, text, cls = '', title = '') => {
+        const c = document.createElement(tag);
+        c.textContent = text;
+        if (cls) c.className = cls;
+        if (title) c.title = title;
+        return c;
+    };
+    const head = document.createElement('tr');
+    head.append(cell('th', 'Body'), cell('th', 'v'), cell('th', 'v/v_esc', '', 'vs. the CM of all other bodies'),
+        cell('th', 'Host'), cell('th', 'Hill sphere'),
+        ...labels.map(l => cell('th', `d→${l}`)), ...stars.map(j => cell('th', `ε→${labels[j]}`)));
+    const body = rows.map((r, i) => {
+        const tr = document.createElement('tr');
+        const ratio = r.speed / r.vEsc;
+        tr.append(cell('td', labels[i]), cell('td', fmt(r.speed)),
+            cell('td', fmt(ratio), Number.isFinite(ratio) ? (ratio < 1 ? 'bound' : 'unbound') : ''),
+            cell('td', r.host === null ? '—' : labels[r.host]), cell('td', r.hill === null ? '—' : labels[r.hill]),
+            ...r.dist.map(d => cell('td', fmt(d))),
+            ...stars.map(j => j === i ? cell('td', '—') : cell('td', r.energy[j].toExponential(2), r.energy[j] < 0 ? 'bound' : 'unbound')));
+        return tr;
+    });
+    table.replaceChildren(head, ...body);
+    $('telemetryHost').textContent = rows.map((r, i) => isStar[i] ? null : `${labels[i]} → ${r.host === null ? 'no host' : labels[r.host]}`)
+        .filter(Boolean).join(' · ');
+}
+
+export function setTrajectoryStatus(recording, samples, events) {
+    $('trajRec').textContent = recording ? '■ Stop' : '● Record';
+    $('trajStatus').textContent = samples ? `${recording ? 'recording · ' : ''}${samples} samples, ${events} events` : (recording ? 'recording' : 'idle');
+}
+
+/** Capture settings; size is null for the window size. */
+export function readCaptureForm() {
+    const m = /^(\d+)x(\d+)$/.exec($('capSize').value);
+    return {
+        format: $('capFormat').value,
+        fps: Math.min(120, Math.max(1, parseInt($('capFps').value) || 30)),
+        maxFrames: Math.max(0, parseInt($('capFrames').value) || 0),
+        size: m ? { width: +m[1], height: +m[2] } : null,
+    };
+}
+
+export function setCaptureStatus(recording, frames, text) {
+    $('capRec').textContent = recording ? '■ Stop' : '● Record';
+    $('capStatus').textContent = text ?? (recording ? `recording · ${frames} frames` : 'idle');
+    for (const id of ['capFormat', 'capFps', 'capSize']) $(id).disabled = recording;
+}
+
+// --- Visual preset editor: one control per VISUAL_FIELDS entry, found again via data-path ---
+let veFields = new Map();   // path → field of the form currently shown
+
+const stepDecimals = step => (String(step).split('.')[1] ?? '').length;
+
+function showVisualValue(cell, f) {
+    const out = cell.querySelector('output');
+    if (out) out.textContent = [...cell.querySelectorAll('input')].map(i => Number(i.value).toFixed(stepDecimals(f.step))).join(' – ');
+}
+
+function readVisualValue(el, f) {
+    switch (f.kind) {
+    case 'number': return parseFloat(el.value);
+    case 'int': return parseInt(el.value);
+    case 'pair': return [...el.closest('.ve-field').querySelectorAll('input')].map(i => parseFloat(i.value));
+    case 'select': return JSON.parse(el.value);
+    default: return el.value;
+    }
+}
+
+function visualControl(f, v) {
+    const cell = document.createElement('div');
+    cell.className = 've-field';
+    const input = (type, value) => {
+        const inp = document.createElement('input');
+        inp.type = type; inp.dataset.path = f.path;
+        if (type === 'range') Object.assign(inp, { min: f.min, max: f.max, step: f.step });
+        if (value !== undefined) inp.value = value;
+        cell.appendChild(inp);
+    };
+    if (f.kind === 'pair') { input('range', v?.[0]); input('range', v?.[1]); }
+    else if (f.kind === 'number' || f.kind === 'int') input('range', v);
+    else if (f.kind === 'color') input('color', v);
+    else if (f.kind === 'text') input('text', v);
+    else {
+        const sel = document.createElement('select');
+        sel.dataset.path = f.path;
+        const options = f.options.some(o => JSON.stringify(o) === JSON.stringify(v)) || v === undefined ? f.options : [...f.options, v];
+        for (const o of options) sel.add(new Option(Array.isArray(o) ? o.join(' × ') : o, JSON.stringify(o)));
+        if (v !== undefined) sel.value = JSON.stringify(v);
+        cell.appendChild(sel);
+    }
+    if (cell.querySelector('input[type=range]')) {
+        cell.appendChild(document.createElement('output'));
+        showVisualValue(cell, f);
+    }
+    return cell;
+}
+
+// (Re)build the editor for a preset; sections stay open across rebuilds
+export function renderVisualEditor(sections, preset) {
+    const box = $('visualEditor');
+    const open = new Set([...box.querySelectorAll('details[open]')].map(d => d.dataset.section));
+    box.innerHTML = '';
+    veFields = new Map();
+    for (const { section, fields } of sections) {
+        const det = document.createElement('details');
+        det.className = 'orbit-panel'; det.dataset.section = section; det.open = open.has(section);
+        const sum = document.createElement('summary');
+        sum.textContent = section;
+        det.appendChild(sum);
+        for (const f of fields) {
+            veFields.set(f.path, f);
+            const l = document.createElement('label');
+            l.append(`${f.label} `);
+            l.appendChild(visualControl(f, getPath(preset, f.path)));
+            det.appendChild(l);
+        }
+        box.appendChild(det);
+    }
+}
+
+export function setVisualEditorStatus(text, errors = []) {
+    $('veStatus').textContent = text;
+    $('veErrors').textContent = errors.join('\n');
+}
+
+// --- Stability sweep ---
+let sweepGrid = null;   // { nx, ny } of the map currently drawn (for click → cell)
+
+export function populateSweepFields(fields) {
+    for (const id of ['swXField', 'swYField'])
+        for (const [key, f] of Object.entries(fields)) $(id).add(new Option(f.label, key));
+}
+
+export function readSweepForm() {
+    const axis = A => ({
+        body: parseInt($(`sw${A}Body`).value), field: $(`sw${A}Field`).value,
+        min: parseFloat($(`sw${A}Min`).value), max: parseFloat($(`sw${A}Max`).value),
+        steps: Math.max(1, Math.min(100, parseInt($(`sw${A}Steps`).value) || 1)),
+    });
+    const y = axis('Y');
+    return { axes: y.field ? [axis('X'), y] : [axis('X')], days: parseFloat($('swDays').value), dt: parseFloat($('swDt').value) };
+}
+
+export function setSweepRange(A, min, max) {
+    $(`sw${A}Min`).value = +min.toPrecision(6);
+    $(`sw${A}Max`).value = +max.toPrecision(6);
+}
+
+export function setSweepStatus(text) { $('swStatus').textContent = text; }
+
+const SWEEP_HUES = { survived: 140, collision: 358, escape: 215 };
+
+/**
+ * Colour-coded map: one cell per case (x right, y up). Hue = outcome, lightness = how long it
+ * lasted; cases not yet run stay dark, invalid ones grey.
+ */
+export function drawSweepMap({ nx, ny, results, days }) {
+    sweepGrid = { nx, ny };
+    const cv = $('swMap'), ctx = cv.getContext('2d');
+    const w = cv.width / nx, h = cv.height / ny;
+    ctx.fillStyle = '#0b0d15';
+    ctx.fillRect(0, 0, cv.width, cv.height);
+    results.forEach((r, k) => {
+        if (!r) return;
+        const ix = k % nx, iy = Math.floor(k / nx);
+        const frac = Math.max(0, Math.min(1, r.t / days));
+        ctx.fillStyle = r.outcome === 'invalid' ? '#3a3d4a'
+            : r.outcome === 'survived' ? `hsl(${SWEEP_HUES.survived}, 60%, 52%)`
+            : `hsl(${SWEEP_HUES[r.outcome]}, 75%, ${18 + 40 * frac}%)`;
+        ctx.fillRect(Math.floor(ix * w), Math.floor((ny - 1 - iy) * h), Math.ceil(w), Math.ceil(h));
+    });
+}
+
+// Conservation charts: one strip per series, newest sample at the right edge. Log series
+// plot log10 |value| (exact zeros are skipped); the others autoscale linearly.
+const DRIFT_COLORS = { dE: '#ffd166', dP: '#7bdff2', dL: '#b892ff', dCM: '#9be564' };
+
+export function drawDriftCharts(samples, series) {
+    const cv = $('driftChart'); if (!cv) return;
+    const ctx = cv.getContext('2d'), keys = Object.keys(series);
+    const W = cv.width, H = cv.height / keys.length;
+    ctx.fillStyle = '#0b0d15';
+    ctx.fillRect(0, 0, cv.width, cv.height);
+    ctx.font = '10px system-ui, sans-serif';
+    if (!samples.length) return;
+    const t0 = samples[0].t, span = samples[samples.length - 1].t - t0 || 1;
+
+    keys.forEach((key, row) => {
+        const { label, log } = series[key], top = row * H;
+        const ys = samples.map(p => log ? (p[key] !== 0 ? Math.log10(Math.abs(p[key])) : NaN) : p[key]);
+        const finite = ys.filter(Number.isFinite);
+        let lo = finite.length ? Math.min(...finite) : 0, hi = finite.length ? Math.max(...finite) : 1;
+        if (!(hi > lo)) { const pad = log ? 1 : Math.abs(hi) * 0.1 || 1; lo -= pad; hi += pad; }
+        const y = v => top + 14 + (H - 18) * (1 - (v - lo) / (hi - lo));
+
+        ctx.strokeStyle = '#2a2d3a';
+        ctx.beginPath(); ctx.moveTo(0, top + H - 0.5); ctx.lineTo(W, top + H - 0.5); ctx.stroke();
+        ctx.strokeStyle = DRIFT_COLORS[key] ?? '#e6e8ee';
+        ctx.beginPath();
+        let pen = false;
+        samples.forEach((p, k) => {
+            if (!Number.isFinite(ys[k])) { pen = false; return; }
+            const x = (p.t - t0) / span * (W - 1);
+            if (pen) ctx.lineTo(x, y(ys[k])); else ctx.moveTo(x, y(ys[k]));
+            pen = true;
+        });
+        ctx.stroke();
+
+        const last = samples[samples.length - 1][key];
+        const fmt = v => log ? `1e${v.toFixed(1)}` : v.toExponential(1);
+        ctx.fillStyle = DRIFT_COLORS[key] ?? '#e6e8ee';
+        ctx.fillText(`${label} ${last.toExponential(2)}`, 4, top + 10);
+        ctx.fillStyle = '#8a8fa3';
+        ctx.textAlign = 'right';
+        ctx.fillText(`${fmt(lo)} … ${fmt(hi)}`, W - 4, top + 10);
+        ctx.textAlign = 'left';
+    });
+}
+
+// --- Habitability ---
+const ERA_COLORS = { stable: '#3ccf6e', chaotic: '#e5484d' };
+
+export function setHabitabilityText({ planet, flux, tEq, era, stars }) {
+    $('habPlanet').textContent = planet;
+    $('habFlux').textContent = Number.isFinite(flux) ? `${flux.toPrecision(3)} S⊕` : '—';
+    $('habTeq').textContent = Number.isFinite(tEq) ? `${tEq.toFixed(0)} K (${(tEq - 273.15).toFixed(0)} °C)` : '—';
+    const e = $('habEra');
+    e.textContent = era ? `${era.kind === 'stable' ? 'Stable' : 'Chaotic'} era · ${(era.end - era.start).toFixed(1)} d` : '';
+    e.style.color = era ? ERA_COLORS[era.kind] : '';
+    $('habStars').textContent = stars.map(s => `${s.label}: ${s.L.toPrecision(3)} L☉ → ${s.flux.toPrecision(3)} S⊕`).join(' · ');
+}
+
+export function readHabitableBand() {
+    return { min: parseFloat($('habMin').value), max: parseFloat($('habMax').value) };
+}
+
+// log10 flux over sim time, the habitable band shaded, eras as a strip along the bottom
+export function drawHabitabilityChart({ samples, eras, band }) {
+    const cv = $('habChart'); if (!cv) return;
+    const ctx = cv.getContext('2d'), W = cv.width, H = cv.height, strip = 6;
+    ctx.fillStyle = '#0b0d15';
+    ctx.fillRect(0, 0, W, H);
+    if (!samples.length) return;
+    const t0 = samples[0].t, span = samples[samples.length - 1].t - t0 || 1;
+    const x = t => (t - t0) / span * (W - 1);
+    const logs = samples.map(p => Math.log10(Math.max(p.flux, 1e-12)));
+    const lo = Math.min(...logs, Math.log10(band.min)) - 0.2, hi = Math.max(...logs, Math.log10(band.max)) + 0.2;
+    const y = v => 12 + (H - strip - 14) * (1 - (v - lo) / (hi - lo));
+
+    ctx.fillStyle = 'rgba(60, 207, 110, 0.15)';
+    const yTop = y(Math.log10(band.max));
+    ctx.fillRect(0, yTop, W, y(Math.log10(band.min)) - yTop);
+
+    ctx.strokeStyle = '#ffd166';
+    ctx.beginPath();
+    samples.forEach((p, k) => k ? ctx.lineTo(x(p.t), y(logs[k])) : ctx.moveTo(x(p.t), y(logs[k])));
+    ctx.stroke();
+
+    for (const e of eras) {
+        ctx.fillStyle = ERA_COLORS[e.kind];
+        const a = Math.max(0, x(e.start));
+        ctx.fillRect(a, H - strip, Math.max(1, x(e.end) - a), strip);
+    }
+
+    ctx.font = '10px system-ui, sans-serif';
+    ctx.fillStyle = '#8a8fa3';
+    ctx.fillText(`flux (S⊕, log) 1e${lo.toFixed(1)} … 1e${hi.toFixed(1)}`, 4, 10);
+}
+
+// Save text (or an ArrayBuffer) as a file via a temporary object URL
+export function downloadText(filename, text, type = 'application/json') {
+    const url = URL.createObjectURL(new Blob([text], { type }));
+    const a = document.createElement('a');
+    a.href = url; a.download = filename;
+    document.body.appendChild(a); a.click(); a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
 export function populateVisualPresetOptions(presets, defaultKey){
     const vp = $('visualPreset'); if (!vp) return;
     vp.innerHTML = '';
@@ -78,16 +770,66 @@ export function populateVisualPresetOptions(presets, defaultKey){
     });
 }
 
+export function populateIntegratorOptions(integrators, selectedKey){
+    const ig = $('integrator'); if (!ig) return;
+    ig.innerHTML = '';
+    Object.entries(integrators).forEach(([key, def]) => {
+        const opt = document.createElement('option');
+        opt.value = key;
+        opt.textContent = def.label || key;
+        if (key === selectedKey) opt.selected = true;
+        ig.appendChild(opt);
+    });
+}
+
+// In fixed-step mode the timescale slider sets steps per frame instead of a speed factor
+export function setClockModeText(mode) {
+    const l = $('timescaleLabel'); if (!l) return;
+    l.textContent = mode === 'fixed' ? 'Steps / frame' : 'Time scale (×)';
+    if ($('fixeddt')) $('fixeddt').disabled = mode !== 'fixed';
+}
+
 export function setEnergyText(val) {
     $('energy').textContent = Number.isFinite(val) ? val.toExponential(6) : '—';
 }
+export function setEnergyErrText(E, E0) {
+    const rel = (E - E0) / Math.abs(E0);
+    $('energyerr').textContent = Number.isFinite(rel) ? rel.toExponential(2) : '—';
+}
+export function setStepText(dt) {
+    // a backwards step shows its size with an arrow
+    $('stepsize').textContent = Number.isFinite(dt) && dt !== 0 ? `${dt < 0 ? '← ' : ''}${Math.abs(dt).toExponential(3)} d` : '—';
+}
+// Benchmark readout under the energy line; null hides it (or shows the wait for the first sample)
+export function setBenchmarkText(b) {
+    const el = $('bench'); if (!el) return;
+    el.hidden = !b && !$('benchmark')?.checked;
+    el.textContent = b
+        ? `Benchmark (${b.where}): ${Math.round(b.stepsPerSec)} steps/s · ${b.fps.toFixed(0)} fps · ` +
+          `frame ${b.avg.toFixed(1)} ms avg / ${b.p95.toFixed(1)} p95 / ${b.max.toFixed(1)} max · main-thread work ${b.work.toFixed(2)} ms`
+        : 'Benchmark: measuring…';
+}
 export function setSimTime(days) {
     const yrs = days / 365.25;
     $('simtime').textContent = `${days.toFixed(2)} d (${yrs.toFixed(4)} yr)`;
 }
 
+// Timeline slider + label; index null means "live" (slider pinned to the newest frame)
+export function setTimeline({ count, index, t, playing, capacity }) {
+    const tl = $('timeline');
+    tl.max = String(Math.max(0, count - 1));
+    tl.value = String(index ?? count - 1);
+    $('tlTime').textContent = index === null ? 'live' : `frame ${index + 1}/${count} · t=${t.toFixed(2)} d`;
+    $('tlPlay').textContent = playing ? '❚❚ Stop' : '▶ Replay';
+    if (capacity) $('tlCap').textContent = String(capacity);
+}
+
+// Versioned scenario document (see scenario.js / README) including current HUD settings
 export function buildInitJSON(params) {
-    const obj = { masses: params.masses, pos: params.pos, vel: params.vel, softening: params.softening };
+    const obj = buildScenario(params, {
+        visualPreset: $('visualPreset')?.value,
+        collisionOutcome: $('collisionOutcome')?.value,
+    });
     return JSON.stringify(obj, null, 2);
 }
 
@@ -97,9 +839,9 @@ export async function copyJSONToClipboard(text) {
     try {
         if (navigator.clipboard && window.isSecureContext) {
             await navigator.clipboard.writeText(text);
-            toast('Init JSON copied to clipboard');
+            toast('Scenario JSON copied to clipboard');
         } else {
-            box.focus(); box.select(); toast('Init JSON populated below — select & copy');
+            box.focus(); box.select(); toast('Scenario JSON populated below — select & copy');
         }
     } catch {
         toast('Copy failed — JSON shown below for manual copy');
@@ -0,0 +1,135 @@
+// visual-config.js — the editable fields of a visual preset (visual_config.json), their valid
+// ranges, validation, and visual presets saved in localStorage. DOM-free; the editor form is
+// built from VISUAL_FIELDS by ui.js and applied through the renderer's setVisualPreset.
+
+const STORAGE_KEY = 'nbody.visualPresets';
+
+// kind: number (slider) · pair ([lo, hi], two sliders, lo < hi) · int · color (#rrggbb) · select
+// (options are the allowed values themselves) · text
+// heavy: only applied on 'change' (regenerates the starfield texture)
+const num = (path, label, min, max, step) => ({ path, label, kind: 'number', min, max, step });
+export const VISUAL_FIELDS = [
+    { section: 'Preset', fields: [
+        { path: 'label', label: 'Label', kind: 'text' },
+    ] },
+    { section: 'Scaling', fields: [
+        num('scaling.au_to_scene', 'AU → scene', 10, 1000, 1),
+        num('scaling.core_scale_factor', 'Core scale factor', 0.0005, 0.05, 0.0005),
+        num('scaling.shell_radius_au', 'Star shell radius (AU)', 0.005, 0.5, 0.005),
+        num('scaling.min_visible_radius', 'Min visible radius', 0.001, 0.1, 0.001),
+        num('scaling.max_visible_radius', 'Max visible radius', 0.05, 2, 0.01),
+        num('scaling.gamma', 'Size gamma', 0.3, 1.5, 0.01),
+    ] },
+    { section: 'Star shells', fields: ['opacity', 'roughness', 'metalness', 'clearcoat'].map(k => num(`materials.stars.${k}`, k, 0, 1, 0.01))
+        .concat(num('materials.stars.emissive_intensity', 'emissive', 0, 3, 0.01)) },
+    { section: 'Star cores', fields: ['opacity', 'roughness', 'metalness'].map(k => num(`materials.cores.${k}`, k, 0, 1, 0.01))
+        .concat(num('materials.cores.emissive_intensity', 'emissive', 0, 3, 0.01)) },
+    { section: 'Planet', fields: ['opacity', 'roughness', 'metalness'].map(k => num(`materials.planet.${k}`, k, 0, 1, 0.01))
+        .concat(num('materials.planet.emissive_intensity', 'emissive', 0, 3, 0.01)) },
+    { section: 'Lighting & bloom', fields: [
+        num('lighting.ambient_intensity', 'Ambient', 0, 3, 0.01),
+        num('lighting.key_light_intensity', 'Key light', 0, 5, 0.01),
+        num('lighting.fill_light_intensity', 'Fill light', 0, 5, 0.01),
+        num('lighting.star_light_intensity', 'Star light (per L☉ at 1 AU)', 0, 20, 0.1),
+        num('lighting.physical_ambient_intensity', 'Ambient, blackbody mode', 0, 1, 0.005),
+        num('lighting.bloom_strength', 'Bloom strength', 0, 3, 0.01),
+        num('lighting.bloom_radius', 'Bloom radius', 0, 2, 0.01),
+        num('lighting.bloom_threshold', 'Bloom threshold', 0, 1, 0.01),
+    ] },
+    { section: 'Trails', fields: [
+        num('trails.width_px', 'Width (px)', 0.5, 10, 0.1),
+        num('trails.opacity', 'Opacity', 0, 1, 0.01),
+        num('trails.fade', 'Age fade', 0, 1, 0.01),
+        { path: 'trails.color_by', label: 'Colour by', kind: 'select', options: ['body', 'speed', 'distance'] },
+        { path: 'trails.frame', label: 'Frame', kind: 'select', options: ['inertial', 'barycentre'] },
+        { path: 'trails.speed_range', label: 'Speed range (AU/day)', kind: 'pair', min: 0.0005, max: 0.5, step: 0.0005 },
+        { path: 'trails.distance_range', label: 'Distance range (AU)', kind: 'pair', min: 0.01, max: 20, step: 0.01 },
+        ...[0, 1, 2].map(k => ({ path: `trails.ramp.${k}`, label: ['Ramp low', 'Ramp mid', 'Ramp high'][k], kind: 'color' })),
+    ] },
+    { section: 'Starfield', fields: [
+        { path: 'starfield.count', label: 'Stars', kind: 'int', min: 0, max: 50000, step: 100, heavy: true },
+        { path: 'starfield.brightness_variation', label: 'Brightness variation', kind: 'number', min: 0, max: 1, step: 0.01, heavy: true },
+        { path: 'starfield.canvas_size', label: 'Texture size', kind: 'select', options: [[2048, 1024], [4096, 2048], [8192, 4096]], heavy: true },
+    ] },
+    { section: 'Orbit controls', fields: [
+        num('orbit_controls.damping', 'Damping', 0.01, 0.5, 0.01),
+        num('orbit_controls.rotate_speed', 'Rotate speed', 0.1, 3, 0.05),
+        num('orbit_controls.zoom_speed', 'Zoom speed', 0.1, 3, 0.05),
+        num('orbit_controls.pan_speed', 'Pan speed', 0.1, 3, 0.05),
+    ] },
+];
+
+export const getPath = (obj, path) => path.split('.').reduce((o, k) => o?.[k], obj);
+
+export function setPath(obj, path, value) {
+    const keys = path.split('.'), last = keys.pop();
+    const parent = keys.reduce((o, k) => (o[k] ??= {}), obj);
+    parent[last] = value;
+    return obj;
+}
+
+/**
+ * Check every editor field of a preset. Missing optional blocks (trails, orbit_controls, the
+ * blackbody lighting keys) are fine: the renderer has defaults for them.
+ * @returns {string[]} problems, empty when valid
+ */
+export function validateVisualPreset(p) {
+    const errors = [];
+    const optional = path => /^(trails|orbit_controls)\.|^lighting\.(star_light|physical_ambient)/.test(path);
+    for (const { fields } of VISUAL_FIELDS) for (const f of fields) {
+        const v = getPath(p, f.path);
+        if (v === undefined && optional(f.path)) continue;
+        const bad = msg => errors.push(`${f.path}: ${msg}`);
+        switch (f.kind) {
+        case 'number': case 'int':
+            if (typeof v !== 'number' || !Number.isFinite(v)) bad('must be a number');
+            else if (v < f.min || v > f.max) bad(`must be between ${f.min} and ${f.max}`);
+            else if (f.kind === 'int' && !Number.isInteger(v)) bad('must be a whole number');
+            break;
+        case 'pair':
+            if (!Array.isArray(v) || v.length !== 2 || !v.every(Number.isFinite)) bad('must be [low, high]');
+            else if (!(v[0] < v[1])) bad('low must be below high');
+            else if (v[0] < f.min || v[1] > f.max) bad(`must lie within ${f.min}–${f.max}`);
+            break;
+        case 'color':
+            if (!/^#[0-9a-f]{6}$/i.test(v)) bad('must be a #rrggbb colour');
+            break;
+        case 'select': {
+            const same = o => JSON.stringify(o) === JSON.stringify(v);
+            if (!f.options.some(same) && !(f.path === 'trails.frame' && /^body:\d+$/.test(v)))
+                bad(`must be one of ${f.options.map(o => JSON.stringify(o)).join(', ')}`);
+            break;
+        }
+        case 'text':
+            if (typeof v !== 'string' || !v.trim()) bad('must not be empty');
+        }
+    }
+    if (p.scaling?.min_visible_radius >= p.scaling?.max_visible_radius) errors.push('scaling: min visible radius must be below the max');
+    return errors;
+}
+
+/** Config key for a preset name: "My Look" → "my-look" (suffixed if taken). */
+export function presetKey(name, taken) {
+    const base = name.trim().toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'preset';
+    let key = base, k = 2;
+    while (taken.includes(key)) key = `${base}-${k++}`;
+    return key;
+}
+
+// --- Saved visual presets: { key: preset } ---
+
+export function loadSavedVisualPresets(storage = globalThis.localStorage) {
+    try {
+        const saved = JSON.parse(storage?.getItem(STORAGE_KEY) ?? '{}');
+        return Object.fromEntries(Object.entries(saved).filter(([, p]) => validateVisualPreset(p).length === 0));
+    } catch (e) {
+        console.warn('[visual-config] saved presets unreadable:', e);
+        return {};
+    }
+}
+
+export function saveVisualPreset(key, preset, storage = globalThis.localStorage) {
+    const saved = loadSavedVisualPresets(storage);
+    saved[key] = preset;
+    storage?.setItem(STORAGE_KEY, JSON.stringify(saved));
+}